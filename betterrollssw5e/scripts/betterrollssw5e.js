@@ -1,6 +1,7 @@
 import { SW5E } from "../../../systems/sw5e/module/config.js";
 import { CustomRoll, CustomItemRoll } from "./custom-roll.js";
-import { i18n, Utils, ItemUtils } from "./utils/index.js";
+import { RollFields } from "./fields.js";
+import { i18n, Utils, ActorUtils, ItemUtils } from "./utils/index.js";
 import { getSettings } from "./settings.js";
 
 // Returns whether an item makes an attack roll
@@ -57,11 +58,17 @@ CONFIG.betterRollssw5e = {
 		"fightingmastery", "fightingstyle", "lightsaberform",
 		"starship", "starshipfeature", "starshipmod",
 		],
+	// Multipliers of damage dealt to the shields and hull of a starship, by damage type.
+	// Damage types that are not listed deal normal damage to both.
+	starshipDamage: {
+		ion: { shields: 2, hull: 0 },
+		kinetic: { shields: 0.5, hull: 1 }
+	},
 	allFlags: {
 		weaponFlags: {
 			quickDesc: { type: "Boolean", get value() { return getQuickDescriptionDefault() }, get altValue() { return getQuickDescriptionDefault() } },
 			quickAttack: { type: "Boolean", value: true, altValue: true },
-			quickSave: { type: "Boolean", value: true, altValue: true },
+			quickSave: { type: "Boolean", value: true, altValue: true, successDamage: "half" },
 			quickDamage: { type: "Array", value: [], altValue: [], context: [] },
 			quickVersatile: { type: "Boolean", value: false, altValue: false },
 			quickProperties: { type: "Boolean", value: true, altValue: true },
@@ -70,11 +77,12 @@ CONFIG.betterRollssw5e = {
 			quickOther: { type: "Boolean", value: true, altValue: true, context: "" },
 			quickFlavor: { type: "Boolean", value: true, altValue: true },
 			quickPrompt: { type: "Boolean", value: false, altValue: false },
+			quickWeaponProperties: { type: "Boolean", value: true, altValue: true },
 		},
 		equipmentFlags: {
 			quickDesc: { type: "Boolean", value: true, altValue: true },
 			quickAttack: { type: "Boolean", value: true, altValue: true },
-			quickSave: { type: "Boolean", value: true, altValue: true },
+			quickSave: { type: "Boolean", value: true, altValue: true, successDamage: "half" },
 			quickDamage: { type: "Array", value: [], altValue: [], context: [] },
 			quickProperties: { type: "Boolean", value: true, altValue: true },
 			quickCharges: { type: "Boolean", value: {quantity: false, use: false, resource: true}, altValue: {quantity: false, use: false, resource: true} },
@@ -85,7 +93,7 @@ CONFIG.betterRollssw5e = {
 		consumableFlags: {
 			quickDesc: { type: "Boolean", value: true, altValue: true },
 			quickAttack: { type: "Boolean", value: true, altValue: true },
-			quickSave: { type: "Boolean", value: true, altValue: true },
+			quickSave: { type: "Boolean", value: true, altValue: true, successDamage: "half" },
 			quickDamage: { type: "Array", value: [], altValue: [], context: [] },
 			quickProperties: { type: "Boolean", value: true, altValue: true },
 			// Consumables consume uses by default in vanilla 5e
@@ -106,7 +114,7 @@ CONFIG.betterRollssw5e = {
 		powerFlags: {
 			quickDesc: { type: "Boolean", value: true, altValue: true },
 			quickAttack: { type: "Boolean", value: true, altValue: true },
-			quickSave: { type: "Boolean", value: true, altValue: true },
+			quickSave: { type: "Boolean", value: true, altValue: true, successDamage: "half" },
 			quickDamage: { type: "Array", value: [], altValue: [], context: [] },
 			quickVersatile: { type: "Boolean", value: false, altValue: false },
 			quickProperties: { type: "Boolean", value: true, altValue: true },
@@ -119,7 +127,7 @@ CONFIG.betterRollssw5e = {
 		classfeatureFlags: {
 			quickDesc: { type: "Boolean", value: true, altValue: true },
 			quickAttack: { type: "Boolean", value: true, altValue: true },
-			quickSave: { type: "Boolean", value: true, altValue: true },
+			quickSave: { type: "Boolean", value: true, altValue: true, successDamage: "half" },
 			quickDamage: { type: "Array", value: [], altValue: [], context: [] },
 			quickProperties: { type: "Boolean", value: true, altValue: true },
 			// Feats consume uses by default in vanilla 5e
@@ -133,7 +141,7 @@ CONFIG.betterRollssw5e = {
 		featFlags: {
 			quickDesc: { type: "Boolean", value: true, altValue: true },
 			quickAttack: { type: "Boolean", value: true, altValue: true },
-			quickSave: { type: "Boolean", value: true, altValue: true },
+			quickSave: { type: "Boolean", value: true, altValue: true, successDamage: "half" },
 			quickDamage: { type: "Array", value: [], altValue: [], context: [] },
 			quickProperties: { type: "Boolean", value: true, altValue: true },
 			// Feats consume uses by default in vanilla 5e
@@ -147,7 +155,7 @@ CONFIG.betterRollssw5e = {
 		deploymentFlags: {
 			quickDesc: { type: "Boolean", value: true, altValue: true },
 			quickAttack: { type: "Boolean", value: true, altValue: true },
-			quickSave: { type: "Boolean", value: true, altValue: true },
+			quickSave: { type: "Boolean", value: true, altValue: true, successDamage: "half" },
 			quickDamage: { type: "Array", value: [], altValue: [], context: [] },
 			quickProperties: { type: "Boolean", value: true, altValue: true },
 			// Feats consume uses by default in vanilla 5e
@@ -160,7 +168,7 @@ CONFIG.betterRollssw5e = {
 		deploymentfeatureFlags: {
 			quickDesc: { type: "Boolean", value: true, altValue: true },
 			quickAttack: { type: "Boolean", value: true, altValue: true },
-			quickSave: { type: "Boolean", value: true, altValue: true },
+			quickSave: { type: "Boolean", value: true, altValue: true, successDamage: "half" },
 			quickDamage: { type: "Array", value: [], altValue: [], context: [] },
 			quickProperties: { type: "Boolean", value: true, altValue: true },
 			// Feats consume uses by default in vanilla 5e
@@ -173,7 +181,7 @@ CONFIG.betterRollssw5e = {
 		ventureFlags: {
 			quickDesc: { type: "Boolean", value: true, altValue: true },
 			quickAttack: { type: "Boolean", value: true, altValue: true },
-			quickSave: { type: "Boolean", value: true, altValue: true },
+			quickSave: { type: "Boolean", value: true, altValue: true, successDamage: "half" },
 			quickDamage: { type: "Array", value: [], altValue: [], context: [] },
 			quickProperties: { type: "Boolean", value: true, altValue: true },
 			// Feats consume uses by default in vanilla 5e
@@ -187,7 +195,7 @@ CONFIG.betterRollssw5e = {
 		fightingstyleFlags: {
 			quickDesc: { type: "Boolean", value: true, altValue: true },
 			quickAttack: { type: "Boolean", value: true, altValue: true },
-			quickSave: { type: "Boolean", value: true, altValue: true },
+			quickSave: { type: "Boolean", value: true, altValue: true, successDamage: "half" },
 			quickDamage: { type: "Array", value: [], altValue: [], context: [] },
 			quickProperties: { type: "Boolean", value: true, altValue: true },
 			quickCharges: { type: "Boolean", value: {use: true, resource: true, charge: true}, altValue: {use: true, resource: true, charge: true} },
@@ -199,7 +207,7 @@ CONFIG.betterRollssw5e = {
 		fightingmasteryFlags: {
 			quickDesc: { type: "Boolean", value: true, altValue: true },
 			quickAttack: { type: "Boolean", value: true, altValue: true },
-			quickSave: { type: "Boolean", value: true, altValue: true },
+			quickSave: { type: "Boolean", value: true, altValue: true, successDamage: "half" },
 			quickDamage: { type: "Array", value: [], altValue: [], context: [] },
 			quickProperties: { type: "Boolean", value: true, altValue: true },
 			quickCharges: { type: "Boolean", value: {use: true, resource: true, charge: true}, altValue: {use: true, resource: true, charge: true} },
@@ -211,7 +219,7 @@ CONFIG.betterRollssw5e = {
 		lightsaberformFlags: {
 			quickDesc: { type: "Boolean", value: true, altValue: true },
 			quickAttack: { type: "Boolean", value: true, altValue: true },
-			quickSave: { type: "Boolean", value: true, altValue: true },
+			quickSave: { type: "Boolean", value: true, altValue: true, successDamage: "half" },
 			quickDamage: { type: "Array", value: [], altValue: [], context: [] },
 			quickProperties: { type: "Boolean", value: true, altValue: true },
 			quickCharges: { type: "Boolean", value: {use: true, resource: true, charge: true}, altValue: {use: true, resource: true, charge: true} },
@@ -224,7 +232,7 @@ CONFIG.betterRollssw5e = {
 		starshipFlags: {
 			quickDesc: { type: "Boolean", value: true, altValue: true },
 			quickAttack: { type: "Boolean", value: true, altValue: true },
-			quickSave: { type: "Boolean", value: true, altValue: true },
+			quickSave: { type: "Boolean", value: true, altValue: true, successDamage: "half" },
 			quickDamage: { type: "Array", value: [], altValue: [], context: [] },
 			quickProperties: { type: "Boolean", value: true, altValue: true },
 			// Feats consume uses by default in vanilla 5e
@@ -237,7 +245,7 @@ CONFIG.betterRollssw5e = {
 		starshipfeatureFlags: {
 			quickDesc: { type: "Boolean", value: true, altValue: true },
 			quickAttack: { type: "Boolean", value: true, altValue: true },
-			quickSave: { type: "Boolean", value: true, altValue: true },
+			quickSave: { type: "Boolean", value: true, altValue: true, successDamage: "half" },
 			quickDamage: { type: "Array", value: [], altValue: [], context: [] },
 			quickProperties: { type: "Boolean", value: true, altValue: true },
 			// Feats consume uses by default in vanilla 5e
@@ -250,7 +258,7 @@ CONFIG.betterRollssw5e = {
 		starshipmodFlags: {
 			quickDesc: { type: "Boolean", value: true, altValue: true },
 			quickAttack: { type: "Boolean", value: true, altValue: true },
-			quickSave: { type: "Boolean", value: true, altValue: true },
+			quickSave: { type: "Boolean", value: true, altValue: true, successDamage: "half" },
 			quickDamage: { type: "Array", value: [], altValue: [], context: [] },
 			quickProperties: { type: "Boolean", value: true, altValue: true },
 			// Feats consume uses by default in vanilla 5e
@@ -294,10 +302,11 @@ export async function addItemSheetButtons(actor, html, data, triggeringElement =
  * @param {String} button.content - The text to display inside the button.
  * @param {String} button.action - The value of the data-action attribute.
  * @param {(String|Number|null)} [button.value=null] - The value of the data-value attribute.
+ * @param {Boolean} [button.disabled=false] - Whether the button is greyed out.
  */
-const createButton = ({ content, action, value = null }) => (
+const createButton = ({ content, action, value = null, disabled = false }) => (
 	`<span class="tag">
-		<button data-action=${action} ${value == null ? "" : `data-value="${value}"`}>
+		<button data-action=${action} ${value == null ? "" : `data-value="${value}"`} ${disabled ? "disabled" : ""}>
 			${content}
 		</button>
 	</span>`
@@ -340,12 +349,41 @@ async function addButtonsToItemLi(li, actor, buttonContainer) {
 				createButton({ content: i18n("br5e.buttons.altRoll"), action: "altRoll"})
 			);
 
+			for (const preset of ItemUtils.getPresets(item)) {
+				buttons.append(
+					createButton({ content: preset.name, action: "presetRoll", value: preset.id })
+				);
+			}
+
+			// Cast the power at a specific level without the ability use dialog
+			const upcastLevels = ItemUtils.getUpcastLevels(item);
+			if (upcastLevels.length > 0) {
+				buttons.append(`<br>`);
+				for (const { level, label, cost, affordable } of upcastLevels) {
+					buttons.append(createButton({
+						content: i18n("br5e.buttons.upcast", { level: label, cost }),
+						action: "upcastRoll",
+						value: level,
+						disabled: !affordable
+					}));
+				}
+				buttons.append(`<br>`);
+			}
+
 			if (isAttack(item)) {
 				buttons.append(
 					createButton({ content: i18n("br5e.buttons.attack"), action: "attackRoll"})
 				);
 			}
 
+			// Burst and Rapid weapons can also be fired at an area, forcing a Dexterity save instead
+			const burstProperty = ItemUtils.getBurstProperty(item);
+			if (burstProperty && (flags?.quickWeaponProperties?.value ?? true)) {
+				buttons.append(
+					createButton({ content: sw5e.weaponProperties[burstProperty], action: "burstRoll" })
+				);
+			}
+
 			if (isSave(item)) {
 				const saveData = ItemUtils.getSave(item);
 
@@ -450,7 +488,7 @@ async function addButtonsToItemLi(li, actor, buttonContainer) {
 		ev.stopPropagation();
 
 		// The arguments compounded into an object and an array of fields, to be served to the roll() function as the params and fields arguments
-		const params = {forceCrit: ev.altKey, event: ev};
+		const params = {forceCrit: Utils.isModifierActive(ev, "forceCrit"), event: ev};
 		const fields = [];
 		if (params.forceCrit) {
 			fields.push([
@@ -473,10 +511,19 @@ async function addButtonsToItemLi(li, actor, buttonContainer) {
 				params.preset = 0; break;
 			case 'altRoll':
 				params.preset = 1; break;
+			case 'presetRoll':
+				params.preset = ev.target.dataset.value; break;
+			case 'upcastRoll':
+				params.preset = 0;
+				params.slotLevel = Number(ev.target.dataset.value);
+				params.consumePowerLevel = params.slotLevel;
+				break;
 			case 'attackRoll':
 				fields.push(["attack"]); break;
 			case 'save':
 				fields.push(["savedc"]); break;
+			case 'burstRoll':
+				fields.push(["burst"], ["damage", { index: "all" }]); break;
 			case 'damageRoll':
 				setDamage(); break;
 			case 'verDamageRoll':
@@ -497,6 +544,124 @@ async function addButtonsToItemLi(li, actor, buttonContainer) {
 	});
 }
 
+/**
+ * If enabled, adds a right-click menu to the image of every item with named presets, to roll any of its presets.
+ * If enabled, powers that can be upcast also get an entry for every level the actor has enough power points for.
+ * The menu replaces the sheet's own item context menu, so items are left alone unless one of these is enabled.
+ * @param {String} imageSelector - the html selector string for the item images
+ */
+export function addItemPresetMenus(actor, html, imageSelector = ".item:not(.enhanced-item) .item-image") {
+	const { altSecondaryEnabled, presetContextMenu, upcastContextMenu } = getSettings();
+	if (actor.permission < 3 || !(presetContextMenu || upcastContextMenu)) { return; }
+
+	for (const element of html.find(imageSelector)) {
+		const image = $(element);
+		const item = actor.items.get(image.parents(".item").attr("data-item-id"));
+		const presets = presetContextMenu ? ItemUtils.getPresets(item) : [];
+		const upcastLevels = upcastContextMenu ? ItemUtils.getUpcastLevels(item).filter(l => l.affordable) : [];
+		if (presets.length === 0 && upcastLevels.length === 0) continue;
+
+		const createEntry = (name, preset, icon="fa-dice") => ({
+			name,
+			icon: `<i class="fas ${icon}"></i>`,
+			callback: () => item.roll({ vanilla: false, preset })
+		});
+
+		const createUpcastEntry = ({ level, label, cost }) => ({
+			name: i18n("br5e.buttons.upcast", { level: label, cost }),
+			icon: `<i class="fas fa-magic"></i>`,
+			callback: () => item.roll({ vanilla: false, preset: 0, slotLevel: level, consumePowerLevel: level })
+		});
+
+		const entries = [createEntry(i18n("br5e.buttons.roll"), 0, "fa-dice-d20")];
+		if (altSecondaryEnabled && presets.length > 0) {
+			entries.push(createEntry(i18n("br5e.buttons.altRoll"), 1, "fa-dice-d20"));
+		}
+		entries.push(...presets.map((preset) => createEntry(preset.name, preset.id)));
+		entries.push(...upcastLevels.map(createUpcastEntry));
+
+		new ContextMenu(image, null, entries);
+
+		// Stop the sheet's own item context menu from replacing this one
+		image.on("contextmenu", (event) => event.stopPropagation());
+	}
+}
+
+/**
+ * Adds buttons to the header of a starship sheet to spend hull and shield dice,
+ * and to route power dice from the central storage to each system.
+ * @param {String} containerSelector - the html selector string for the element to add the buttons to
+ */
+export function addStarshipButtons(actor, html, containerSelector = ".sheet-header") {
+	if (actor.permission < 3 || actor.data.type !== "starship") { return; }
+
+	const buttons = $(`<div class="item-buttons br5e-starship-dice"></div>`);
+	for (const pool of ["hull", "shld"]) {
+		if (!ActorUtils.getStarshipDice(actor, pool)) continue;
+		buttons.append(createButton({ content: i18n(`br5e.chat.starship.${pool}.die`), action: pool }));
+	}
+	if (ActorUtils.getStarshipDice(actor, "power", "central")) {
+		for (const system of ["weapons", "engines", "shields"]) {
+			if (!ActorUtils.getStarshipDice(actor, "power", system)) continue;
+			const content = i18n("br5e.buttons.routePower", { system: i18n(`br5e.chat.starship.systems.${system}`) });
+			buttons.append(createButton({ content, action: "power", value: system }));
+		}
+	}
+
+	bindCrewSkillRolls(actor, html);
+	if (buttons.children().length === 0) return;
+
+	html.find(containerSelector).first().append(buttons);
+	buttons.find("button").click((ev) => {
+		ev.preventDefault();
+		const { action, value } = ev.currentTarget.dataset;
+		if (action === "power") {
+			CustomRoll.routePowerDie(actor, value);
+		} else {
+			CustomRoll.rollStarshipDie(actor, action);
+		}
+	});
+}
+
+/**
+ * Lets the skills of a starship sheet be rolled by a deployed crew member.
+ * Clicking a skill prompts for the role to roll it with, or the starship itself.
+ * Starships without deployed crew keep the sheet's own skill rolls.
+ * @param {Actor} actor starship actor
+ * @param {JQuery} html
+ * @param {string} skillSelector
+ */
+function bindCrewSkillRolls(actor, html, skillSelector = ".skill-name") {
+	const roles = ActorUtils.getDeployedRoles(actor);
+	const skillNames = html.find(skillSelector);
+	if (roles.length === 0 || skillNames.length === 0) return;
+
+	skillNames.off();
+	skillNames.addClass("rollable");
+	skillNames.click(event => {
+		event.preventDefault();
+		const params = Utils.eventToAdvantage(event);
+		const skill = event.currentTarget.closest("[data-skill]")?.dataset.skill;
+		if (!skill) return;
+
+		const buttons = Object.fromEntries(roles.map(role => [role, {
+			label: ActorUtils.getDeploymentLabel(role),
+			callback: () => CustomRoll.rollSkill(actor, skill, { ...params, role })
+		}]));
+		buttons.ship = {
+			label: actor.token?.name ?? actor.name,
+			callback: () => actor.rollSkill(skill, params)
+		};
+
+		const title = CustomRoll._getActorRollLabel("skill", skill);
+		new Dialog({
+			title,
+			content: `<p>${i18n("br5e.chat.starship.crewPrompt", { skill: title })}</p>`,
+			buttons
+		}).render(true);
+	});
+}
+
 /**
  * Replaces the sheet's d20 rolls for ability checks, skill checks, and saving throws into dual d20s.
  * Also replaces the default button on items with a "standard" roll.
@@ -643,39 +808,40 @@ return itemToRoll.roll({ vanilla: ${vanilla} });
 	};
 
 	// Performs a Quick Roll, searching for an item in the controlled actor by name.
-	function quickRoll(itemName) {
+	// options.preset can be the name of a preset defined on the item.
+	function quickRoll(itemName, options={}) {
 		let speaker = ChatMessage.getSpeaker();
 		let actor = getActorById(speaker.actor);
 		let item = actor ? actor.items.find(i => i.name === itemName) : null;
 		if (!actor) { return ui.notifications.warn(`${i18n("br5e.error.noSelectedActor")}`); }
 		else if (!item) { return ui.notifications.warn(`${actor.name} ${i18n("br5e.error.noKnownItemOnActor")} ${itemName}`); }
-		return item.roll({ vanilla: false, event });
+		return item.roll({ vanilla: false, event, preset: options.preset });
 	};
 
 	// Performs a Quick Roll, searching the actor and item by ID.
-	function quickRollById(actorId, itemId) {
+	function quickRollById(actorId, itemId, options={}) {
 		let actor = getActorById(actorId);
 		if (!actor) { return ui.notifications.warn(`${i18n("br5e.error.noActorWithId")}`); }
 		let item = actor.items.get(itemId);
 		if (!item) { return ui.notifications.warn(`${i18n("br5e.error.noItemWithId")}`); }
 		if (actor.permission != 3) { return ui.notifications.warn(`${i18n("br5e.error.noActorPermission")}`); }
-		return item.roll({ vanilla: false, event });
+		return item.roll({ vanilla: false, event, preset: options.preset });
 	};
 
 	// Performs a Quick Roll, searching the actor and item by name.
-	function quickRollByName(actorName, itemName) {
+	function quickRollByName(actorName, itemName, options={}) {
 		let actor = getActorByName(actorName);
 		if (!actor) { return ui.notifications.warn(`${i18n("br5e.error.noKnownActorWithName")}`); }
 		let item = actor.items.find(i => i.name === itemName);
 		if (!item) { return ui.notifications.warn(`${actor.name} ${i18n("br5e.error.noKnownItemOnActor")} ${itemName}`); }
 		if (actor.permission != 3) { return ui.notifications.warn(`${i18n("br5e.error.noActorPermission")}`); }
-		return item.roll({ vanilla: false, event });
+		return item.roll({ vanilla: false, event, preset: options.preset });
 	};
 
 	// Returns if an event should have its corresponding Quick Roll be an Alt Roll.
 	function isAlt(event) {
 		const { altSecondaryEnabled } = getSettings();
-		return event && event.altKey && altSecondaryEnabled;
+		return event && Utils.isModifierActive(event, "altRoll") && altSecondaryEnabled;
 	};
 
 	// Prefer synthetic actors over game.actors to avoid consumables and powers being missdepleted.
@@ -694,7 +860,8 @@ return itemToRoll.roll({ vanilla: ${vanilla} });
 
 	Hooks._hooks.hotbarDrop = [(bar, data, slot) => {
 		if ( data.type !== "Item" ) return true;
-		if (event && event.altKey) { // not using isAlt(event) because it's not related to alternative roll
+		// not using isAlt(event) because it's not related to alternative roll
+		if (event && (Utils.isModifierActive(event, "vanillaRoll") || Utils.isModifierActive(event, "altRoll"))) {
 			assignMacro(data, slot, "vanillaRoll");
 		} else {
 			assignMacro(data, slot, "id");
@@ -713,7 +880,14 @@ return itemToRoll.roll({ vanilla: ${vanilla} });
 		rollCheck:CustomRoll.rollCheck,
 		rollSave:CustomRoll.rollSave,
 		rollSkill:CustomRoll.rollSkill,
+		rollGroup:CustomRoll.rollGroup,
+		promptGroupRoll:CustomRoll.promptGroupRoll,
+		rollContest:CustomRoll.rollContest,
+		rollStarshipDie:CustomRoll.rollStarshipDie,
+		routePowerDie:CustomRoll.routePowerDie,
+		rollCrewCheck:CustomRoll.rollCrewCheck,
 		rollItem:CustomRoll.newItemRoll,
+		registerField:RollFields.registerField,
 		getRollState: (params) => Utils.getRollState({ event, ...(params ?? {})}),
 
 		// These are still here for compatibility, but will be removed in future versions
@@ -1,7 +1,7 @@
 import { CustomItemRoll, CustomRoll } from "./custom-roll.js";
 import { migrateChatMessage } from "./migration.js";
 import { BRSettings } from "./settings.js";
-import { i18n, Utils } from "./utils/index.js";
+import { i18n, ActorUtils, Utils } from "./utils/index.js";
 
 /**
  * Class that encapsulates a better rolls card at runtime.
@@ -35,10 +35,27 @@ export class BetterRollsChatCard {
 		this.speaker = game.actors.get(message.data.speaker.actor);
 		message.BetterRoll = this.roll;
 
-		// Hide Save DCs
+		// Hide Save DCs, along with whether save results passed as that would reveal the DC
 		const actor = this.speaker;
 		if ((!actor && !game.user.isGM) || actor?.permission != 3) {
 			html.find(".hideSave").text(i18n("br5e.hideDC.string"));
+			const hiddenResults = html.find(".hideSaveResult");
+			hiddenResults.removeClass("success failure");
+			hiddenResults.find(".red-save-label").remove();
+		}
+
+		// Hide damage application buttons if they're disabled for this user
+		if (!BRSettings.chatDamageButtonsEnabled) {
+			html.find("button[data-action=apply-save-damage]").remove();
+			html.find(".red-apply-damage").remove();
+		}
+
+		// Players only see the save damage button if they own every actor it would damage
+		this._removeUnownedSaveDamage(html);
+
+		// Only users that can undo the last damage application see its button
+		if (!this.roll.canUndoDamage()) {
+			html.find(".red-undo-damage").remove();
 		}
 
 		// Setup the events for card buttons (the permanent ones, not the hover ones)
@@ -120,7 +137,27 @@ export class BetterRollsChatCard {
 				return binding && binding.roll.canRepeat();
 			},
 			callback: li => getBinding(li)?.roll.repeat({ event })
-		})
+		});
+
+		options.push({
+			name: i18n("br5e.chatContext.refund"),
+			icon: '<i class="fas fa-undo"></i>',
+			condition: li => {
+				const binding = getBinding(li);
+				return binding && binding.roll.canRefund();
+			},
+			callback: li => getBinding(li)?.roll.refund()
+		});
+
+		options.push({
+			name: i18n("br5e.chatContext.undoDamage"),
+			icon: '<i class="fas fa-heart"></i>',
+			condition: li => {
+				const binding = getBinding(li);
+				return binding && binding.roll.canUndoDamage();
+			},
+			callback: li => getBinding(li)?.roll.undoDamage()
+		});
 	}
 
 	/**
@@ -130,9 +167,13 @@ export class BetterRollsChatCard {
 	 * @private
 	 */
 	async _setupOverlayButtons(html) {
-		// Add reroll button
-		if (this.roll?.canRepeat()) {
-			const templateHeader = await renderTemplate("modules/betterrollssw5e/templates/red-overlay-header.html");
+		// Add reroll and maneuver buttons
+		const canRepeat = this.roll?.canRepeat();
+		const canManeuver = await this.roll?.canAddManeuver();
+		if (canRepeat || canManeuver) {
+			const templateHeader = await renderTemplate("modules/betterrollssw5e/templates/red-overlay-header.html", {
+				canRepeat, canManeuver
+			});
 			html.find(".card-header").append($(templateHeader));
 		}
 
@@ -156,10 +197,7 @@ export class BetterRollsChatCard {
 				const id = $(button).parents(".red-dual").attr('data-id');
 				const action = button.dataset.action;
 				if (action === "rollState") {
-					const rollState = button.dataset.state;
-					if (await this.roll.updateRollState(id, rollState)) {
-						await this.roll.update();
-					}
+					await this.roll.changeRollState(id, button.dataset.state);
 				}
 			});
 		}
@@ -209,15 +247,12 @@ export class BetterRollsChatCard {
 			const modifier = $(ev.target).closest("button").attr('data-modifier');
 
 			// applying dmg to the targeted token and sending only the span that the button sits in
+			this._startDamageApplication();
 			for (const actor of Utils.getTargetActors()) {
 				await this.applyDamage(actor, damageType, dmg, modifier)
 			}
 
-			setTimeout(() => {
-				if (canvas.hud.token._displayState && canvas.hud.token._displayState !== 0) {
-					canvas.hud.token.render();
-				}
-			}, 50);
+			this._refreshTokenHud();
 		});
 
 		// Handle crit button application event
@@ -251,10 +286,240 @@ export class BetterRollsChatCard {
 				if (!overwrite) return;
 			}
 
-			await actor.update({ "data.attributes.hp.temp": healing });
+			await this._logHitPointChange(actor, () => actor.update({ "data.attributes.hp.temp": healing }));
 		} else {
-			await actor.applyDamage(damage, modifier);
+			await this.applyTypedDamage(actor, [{ damageType, amount: Number(damage) }], modifier);
+		}
+	}
+
+	/**
+	 * Applies one or more typed damage parts to an actor, taking its damage immunities,
+	 * resistances and vulnerabilities into account. Healing is applied as is.
+	 * If any damage was modified by the actor's traits, a summary is whispered to the GM.
+	 * @param {Actor} actor
+	 * @param {Array<{ damageType: string?, amount: number }>} parts
+	 * @param {number} modifier multiplier such as half damage, or negative for healing
+	 */
+	async applyTypedDamage(actor, parts, modifier=1) {
+		if (modifier < 0) {
+			const sum = (parts) => parts.reduce((total, part) => total + part.amount, 0);
+			const tempHealing = sum(parts.filter(p => p.damageType === "temphp"));
+			const healing = sum(parts.filter(p => p.damageType !== "temphp"));
+			if (tempHealing) await this.applyDamage(actor, "temphp", tempHealing, modifier);
+			if (healing) await this._logHitPointChange(actor, () => actor.applyDamage(healing, modifier));
+			return;
+		}
+
+		if (actor.data.type === "starship") {
+			await this._applyStarshipDamage(actor, parts, modifier);
+			return;
+		}
+
+		const damage = ActorUtils.calculateDamage(actor, parts, modifier);
+		await this._logHitPointChange(actor, () => actor.applyDamage(damage.total, 1));
+
+		if (damage.parts.some(p => p.multiplier !== 1)) {
+			await this._whisperDamageSummary(actor, damage);
+		}
+
+		if (damage.total > 0) {
+			await this._requestConcentrationCheck(actor, damage.total);
+		}
+	}
+
+	/**
+	 * Applies typed damage parts to a starship actor, first to its shield points and then to its hull points.
+	 * A summary of the damage taken by the shields and hull is always whispered to the GM.
+	 * @param {Actor} actor
+	 * @param {Array<{ damageType: string?, amount: number }>} parts
+	 * @param {number} modifier
+	 * @private
+	 */
+	async _applyStarshipDamage(actor, parts, modifier) {
+		const damage = ActorUtils.calculateStarshipDamage(actor, parts, modifier);
+		const hp = actor.data.data.attributes.hp;
+		await this._logHitPointChange(actor, () => actor.update({
+			"data.attributes.hp.temp": Math.max(0, (hp.temp || 0) - damage.shields),
+			"data.attributes.hp.value": Math.max(0, hp.value - damage.hull)
+		}));
+
+		await this._whisperDamageSummary(actor, damage);
+	}
+
+	/**
+	 * Posts a constitution save card for a concentrating actor that took damage.
+	 * The DC is half the damage taken, with a minimum of 10. The card is whispered to the actor's owners and the GMs.
+	 * @param {Actor} actor
+	 * @param {number} damage
+	 * @private
+	 */
+	async _requestConcentrationCheck(actor, damage) {
+		if (!BRSettings.concentrationChecks || !ActorUtils.isConcentrating(actor)) return;
+
+		const dc = Math.max(10, Math.floor(damage / 2));
+		const source = this.roll.entries.find(e => e.type === "header")?.title ?? "";
+		const sourceButton = `<button data-action="show-message" data-message-id="${this.id}">` +
+			`<i class="fas fa-comment"></i> ${i18n("br5e.chat.concentration.source", { source })}</button>`;
+
+		const roll = new CustomItemRoll(actor, {}, [
+			["header", { title: i18n("br5e.chat.concentration.title") }],
+			["description", { text: sourceButton }],
+			["savedc", {
+				abl: "con",
+				dc,
+				target: { actorId: actor.id, tokenId: actor.token?.uuid ?? null }
+			}]
+		]);
+
+		await roll.toMessage({ whisper: ActorUtils.getOwnerRecipients(actor) });
+	}
+
+	/**
+	 * Starts a new damage or healing application. Every hit point change logged until the next one starts
+	 * is part of the same application, so that changes to several targets are undone together.
+	 * @private
+	 */
+	_startDamageApplication() {
+		this._applicationId = randomID();
+	}
+
+	/**
+	 * Runs a hit point update on an actor and records the change in the card's damage log.
+	 * @param {Actor} actor
+	 * @param {() => Promise<any>} updateFn function that updates the actor's hit points
+	 * @private
+	 */
+	async _logHitPointChange(actor, updateFn) {
+		await this.roll.logHitPointChange(actor, updateFn, this._applicationId);
+	}
+
+	/**
+	 * Whispers a summary of how an actor's traits modified the damage it took to the GM.
+	 * For starships, the damage taken by the shields and the hull is shown as well.
+	 * @param {Actor} actor
+	 * @param {ReturnType<typeof ActorUtils.calculateDamage | typeof ActorUtils.calculateStarshipDamage>} damage
+	 * @private
+	 */
+	async _whisperDamageSummary(actor, damage) {
+		const traitLabels = {
+			0: "br5e.chat.damageSummary.immune",
+			0.5: "br5e.chat.damageSummary.resistant",
+			2: "br5e.chat.damageSummary.vulnerable"
+		};
+
+		const parts = damage.parts.map(p => ({
+			...p,
+			typeLabel: CONFIG.betterRollssw5e.combinedDamageTypes[p.damageType] ?? "",
+			traitLabel: traitLabels[p.multiplier] ? i18n(traitLabels[p.multiplier]) : null
+		}));
+
+		const content = await renderTemplate("modules/betterrollssw5e/templates/red-damage-summary.html", {
+			name: actor.token?.name ?? actor.name,
+			total: damage.total,
+			shields: damage.shields,
+			hull: damage.hull,
+			isStarship: "hull" in damage,
+			parts
+		});
+
+		await ChatMessage.create({
+			user: game.user.id,
+			speaker: ChatMessage.getSpeaker({ actor }),
+			whisper: ChatMessage.getWhisperRecipients("GM"),
+			content
+		});
+	}
+
+	/**
+	 * Returns true if the current user can apply the damage following a save button.
+	 * GMs always can, players only if they own every actor that reported a save result.
+	 * @param {string} id id of the save button entry
+	 * @returns {Promise<boolean>}
+	 */
+	async canApplySaveDamage(id) {
+		if (game.user.isGM) return true;
+
+		const results = this.roll.getEntry(id)?.results ?? [];
+		const actors = await Promise.all(results.map(r => Utils.resolveActor(r)));
+		return actors.every(actor => actor?.isOwner);
+	}
+
+	/**
+	 * Removes the save damage buttons the current user can't use from the card.
+	 * @param {JQuery} html
+	 * @private
+	 */
+	async _removeUnownedSaveDamage(html) {
+		for (const button of html.find("button[data-action=apply-save-damage]")) {
+			if (!(await this.canApplySaveDamage(button.dataset.id))) {
+				$(button).remove();
+			}
+		}
+	}
+
+	/**
+	 * Applies the damage following a save button to every actor that reported a save result.
+	 * Failures take full damage, successes take half or none depending on the item.
+	 * @param {string} id id of the save button entry
+	 */
+	async applySaveDamage(id) {
+		const entry = this.roll.getEntry(id);
+		if (entry?.type !== "button-save" || !entry.results?.length) return;
+		if (!(await this.canApplySaveDamage(id))) return;
+
+		const groups = this.roll.getSaveDamageGroups(id);
+		if (groups.some(g => g.prompt)) {
+			return ui.notifications.warn(i18n("br5e.error.damageNotRolled"));
+		}
+
+		const parts = groups.flatMap(g => CustomItemRoll.getGroupDamageParts(g));
+		const successModifier = entry.successDamage === "none" ? 0 : 0.5;
+		this._startDamageApplication();
+		for (const result of entry.results) {
+			const actor = await Utils.resolveActor(result);
+			if (!actor) continue;
+
+			const modifier = result.success ? successModifier : 1;
+			if (modifier > 0) {
+				await this.applyTypedDamage(actor, parts, modifier);
+			}
+		}
+
+		this._refreshTokenHud();
+	}
+
+	/**
+	 * Applies every revealed damage and crit entry of a damage group to the selected or targeted tokens.
+	 * If no group is given, the damage of every rolled group in the card is applied.
+	 * @param {string?} groupId
+	 * @param {number} modifier damage multiplier, or negative for healing
+	 */
+	async applyGroupDamage(groupId, modifier) {
+		const groups = groupId ?
+			[this.roll.getEntry(groupId)] :
+			this.roll.entries.filter(e => e.type === "damage-group");
+
+		const parts = groups.filter(g => g && !g.prompt).flatMap(g => CustomItemRoll.getGroupDamageParts(g));
+		if (parts.length === 0) return;
+
+		this._startDamageApplication();
+		for (const actor of Utils.getDamageTargetActors()) {
+			await this.applyTypedDamage(actor, parts, modifier);
 		}
+
+		this._refreshTokenHud();
+	}
+
+	/**
+	 * Re-renders the token HUD after a delay, so that it shows updated hit points
+	 * @private
+	 */
+	_refreshTokenHud() {
+		setTimeout(() => {
+			if (canvas.hud.token._displayState && canvas.hud.token._displayState !== 0) {
+				canvas.hud.token.render();
+			}
+		}, 50);
 	}
 
 	_onHover(html) {
@@ -263,13 +528,19 @@ export class BetterRollsChatCard {
 
 		// Apply Damage / Augment Crit
 		const controlled = canvas?.tokens.controlled.length > 0;
-		html.find('.multiroll-overlay-br').toggle(hasPermission);
+		const targeted = game.user.targets.size > 0;
+		html.find('.red-dual').each(async (i, element) => {
+			const canChange = await this.roll.canChangeRollState(element.dataset.id);
+			$(element).find('.multiroll-overlay-br').toggle(canChange);
+		});
 		html.find('.crit-button').toggle(hasPermission);
 		html.find('.apply-damage-buttons').toggle(controlled);
+		html.find('.red-apply-damage').toggle(controlled || targeted);
 	}
 
 	_onHoverEnd(html) {
 		html.find(".die-result-overlay-br").attr("style", "display: none;");
+		html.find(".red-apply-damage").hide();
 	}
 
 	/**
@@ -310,6 +581,41 @@ export class BetterRollsChatCard {
 		return dmg || critdmg;
 	}
 
+	/**
+	 * Prompts for the name of a maneuver and whether its superiority die is added
+	 * to the damage or to the attack, then spends the die and adds it to the card.
+	 * @private
+	 */
+	_promptManeuver() {
+		const hasAttack = this.roll.entries.some(e => e.type === "multiroll" && e.rollType === "attack");
+		const addManeuver = (html, target) => {
+			const title = html.find("input[name=title]").val()?.trim() || null;
+			return this.roll.addManeuver({ title, target });
+		};
+
+		const buttons = {
+			damage: {
+				label: i18n("br5e.maneuver.damage"),
+				callback: (html) => addManeuver(html, "damage")
+			}
+		};
+
+		if (hasAttack) {
+			buttons.attack = {
+				label: i18n("br5e.maneuver.attack"),
+				callback: (html) => addManeuver(html, "attack")
+			};
+		}
+
+		new Dialog({
+			title: i18n("br5e.maneuver.title"),
+			content: `<form><div class="form-group"><label>${i18n("br5e.maneuver.name")}</label>` +
+				`<input type="text" name="title"/></div></form>`,
+			buttons,
+			default: "damage"
+		}).render(true);
+	}
+
 	/**
 	 * Bind card button events. These are the clickable action buttons.
 	 * @private
@@ -335,19 +641,34 @@ export class BetterRollsChatCard {
 
 	async _performAction(action, data, event={}) {
 		if (action === "save") {
-			const actors = Utils.getTargetActors({ required: true });
+			const target = this.roll.getEntry(data.id)?.target;
+			const actors = target ?
+				[await Utils.resolveActor(target)].filter(a => a) :
+				Utils.getTargetActors({ required: true });
 			const ability = data.ability;
 			const params = Utils.eventToAdvantage(event);
+			const saveOrigin = { messageId: this.id, entryId: data.id };
 			for (const actor of actors) {
-				CustomRoll.rollAttribute(actor, ability, "save", params);
+				CustomRoll.rollAttribute(actor, ability, "save", { ...params, saveOrigin });
 			}
 		} else if (action === "damage") {
 			const group = encodeURIComponent(data.group);
 			if (await this.roll.rollDamage(group)) {
 				await this.roll.update();
 			}
+		} else if (action === "apply-damage") {
+			await this.applyGroupDamage(data.group, Number(data.modifier));
+		} else if (action === "apply-save-damage") {
+			await this.applySaveDamage(data.id);
+		} else if (action === "undo-damage") {
+			await this.roll.undoDamage();
+		} else if (action === "show-message") {
+			const element = ui.chat.element.find(`.message[data-message-id="${data.messageId}"]`)[0];
+			element?.scrollIntoView({ behavior: "smooth" });
 		} else if (action === "repeat") {
 			await this.roll.repeat({ event });
+		} else if (action === "maneuver") {
+			this._promptManeuver();
 		} else if (action === "apply-active-effects") {
 			if (!window.DAE) {
 				return ui.notifications.warn(i18n("br5e.error.noDAE"));
@@ -22,6 +22,9 @@ import { RollFields } from "./fields.js";
  * @property {number?} disadv
  * @property {@param {import("./fields.js").RollState}} rollState
  * @property {number?} critThreshold
+ * @property {{ messageId: string, entryId: string }?} saveOrigin the save button that requested this roll.
+ * 	If set, the result is reported back to that card.
+ * @property {string?} role deployment role of a starship. If set, the roll is made by the crew member deployed in it.
  */
 
 /**
@@ -43,7 +46,8 @@ export class CustomRoll {
 	static async _fullRollActor(actor, title, formula, rollType, params) {
 		// Entries to show for the render
 		const rollState = Utils.getRollState({ event, ...params });
-		const roll = new CustomItemRoll(actor, { rollState }, [
+		const saveOrigin = params?.saveOrigin;
+		const roll = new CustomItemRoll(actor, { rollState, saveOrigin }, [
 			['header', { title }],
 			['check', {
 				formula,
@@ -52,6 +56,10 @@ export class CustomRoll {
 			}]
 		]);
 		await roll.toMessage();
+		if (saveOrigin) {
+			await roll.reportSaveResult();
+		}
+
 		return roll;
 	}
 
@@ -62,6 +70,10 @@ export class CustomRoll {
 	 * @param {FullRollActorParams} params parameters
 	 */
 	static async rollSkill(actor, skill, params={}) {
+		if (params.role) {
+			return CustomRoll.rollCrewCheck(actor, params.role, "skill", skill, params);
+		}
+
 		if (!(skill in sw5e.skills)) {
 			throw new Error(`Better Rolls | Skill ${skill} does not exist. Valid values can be found in CONFIG.SW5e.skills`);
 		}
@@ -98,6 +110,10 @@ export class CustomRoll {
 	 * @param {FullRollActorParams} params
 	 */
 	static async rollAttribute(actor, ability, rollType, params={}) {
+		if (params.role) {
+			return CustomRoll.rollCrewCheck(actor, params.role, rollType, ability, params);
+		}
+
 		const label = sw5e.abilities[ability];
 
 		let titleString;
@@ -113,11 +129,433 @@ export class CustomRoll {
 		return CustomRoll._fullRollActor(actor, titleString, formula, rollType, params);
 	}
 
+	/**
+	 * Rolls a death saving throw for an actor and updates its death save counters.
+	 * Returns null without rolling if the actor is not dying.
+	 * @param {Actor} actor
+	 * @param {FullRollActorParams} params
+	 */
+	static async rollDeathSave(actor, params={}) {
+		// Death saves are only rolled while dying, same as the system
+		const death = actor.data.data.attributes.death;
+		if (actor.data.data.attributes.hp.value > 0 || death.failure >= 3 || death.success >= 3) {
+			ui.notifications.warn(i18n("SW5E.DeathSaveUnnecessary"));
+			return null;
+		}
+
+		const rollState = Utils.getRollState({ event, ...params });
+		const roll = new CustomItemRoll(actor, { rollState }, [
+			['header', { title: i18n("SW5E.DeathSavingThrow") }],
+			['deathsave']
+		]);
+
+		await roll.toMessage();
+		return roll;
+	}
+
+	/**
+	 * Rolls initiative for a combatant and sets its initiative to the result.
+	 * Changing the roll state on the card later also updates the combatant.
+	 * @param {Combatant} combatant
+	 * @param {object} options
+	 * @param {string?} options.formula initiative formula to use instead of the combatant's
+	 * @param {string?} options.rollMode
+	 * @returns {Promise<CustomItemRoll>}
+	 */
+	static async rollInitiative(combatant, { formula=null, rollMode=null }={}) {
+		const roll = new CustomItemRoll(combatant.actor, {}, [
+			['header', { title: i18n("SW5E.Initiative") }],
+			['initiative', {
+				formula: combatant.getInitiativeRoll(formula).formula,
+				combatId: combatant.parent.id,
+				combatantId: combatant.id
+			}]
+		]);
+
+		await roll.toMessage({ rollMode: rollMode ?? (combatant.hidden ? "gmroll" : null) });
+		return roll;
+	}
+
+	/**
+	 * Rolls a hit die for an actor, and updates its hit points and remaining hit dice.
+	 * The die and the Constitution bonus are shown as separate healing entries.
+	 * If batching is enabled, all hit dice spent in the same short rest dialog are added to a single card.
+	 * @param {Actor} actor
+	 * @param {string} denomination hit die denomination, such as "d8"
+	 * @returns {Promise<CustomItemRoll | null>}
+	 */
+	static async rollHitDie(actor, denomination) {
+		const cls = actor.itemTypes.class.find(c => {
+			const data = c.data.data;
+			return data.hitDice === denomination && (data.hitDiceUsed ?? 0) < data.levels;
+		});
+
+		if (!cls) {
+			ui.notifications.error(game.i18n.format("SW5E.HitDiceWarn", { name: actor.name, formula: denomination }));
+			return null;
+		}
+
+		const fields = [['damage', {
+			formula: `1${denomination}`,
+			damageType: "healing",
+			title: i18n("br5e.chat.hitDice.die", { denomination })
+		}]];
+
+		const conBonus = actor.data.data.abilities.con.mod;
+		if (conBonus) {
+			fields.push(['damage', {
+				formula: `${conBonus}`,
+				damageType: "healing",
+				title: i18n(sw5e.abilities.con)
+			}]);
+		}
+
+		// Add to the card of the current rest if batching, otherwise create a new one
+		const { ShortRestDialog } = game.sw5e.applications;
+		const restDialog = Object.values(ui.windows).find(app => {
+			return app.actor === actor && app instanceof ShortRestDialog;
+		});
+
+		const batchMessage = getSettings().batchHitDice && game.messages.get(restDialog?.betterRollsMessageId);
+		let roll;
+		let entries;
+		if (batchMessage) {
+			roll = CustomItemRoll.fromMessage(batchMessage);
+			const existing = new Set(roll.entriesFlattened().map(e => e.id));
+			for (const field of fields) {
+				await roll.addField(field);
+			}
+
+			entries = roll.entriesFlattened().filter(e => e.type === "damage" && !existing.has(e.id));
+			roll.dicePool.push(...entries.map(e => e.baseRoll));
+			await roll.update();
+		} else {
+			roll = new CustomItemRoll(actor, {}, [
+				['header', { title: i18n("br5e.chat.hitDice.title") }],
+				...fields
+			]);
+
+			await roll.toMessage();
+			entries = roll.entriesFlattened().filter(e => e.type === "damage");
+			if (restDialog) {
+				restDialog.betterRollsMessageId = roll.messageId;
+			}
+		}
+
+		// Spend the hit die and heal the actor. A negative Constitution modifier can't cause damage.
+		const healing = Math.max(0, entries.reduce((total, e) => total + e.baseRoll.total, 0));
+		const hp = actor.data.data.attributes.hp;
+		const maxHp = hp.max + (hp.tempmax ?? 0);
+		await cls.update({ "data.hitDiceUsed": (cls.data.data.hitDiceUsed ?? 0) + 1 });
+		await actor.update({ "data.attributes.hp.value": Math.min(maxHp, hp.value + healing) });
+
+		return roll;
+	}
+
+	/**
+	 * Spends a hull or shield die of a starship actor and rolls it into a card
+	 * that also shows the ship's remaining dice pools.
+	 * Hull dice repair hull points (adding the ship's Constitution bonus) and shield dice regenerate shield points.
+	 * The die is spent once the card is created, and both the die and the hit point change can be undone from the card.
+	 * @param {Actor} actor starship actor
+	 * @param {"hull" | "shld"} pool
+	 * @returns {Promise<CustomItemRoll | null>}
+	 */
+	static async rollStarshipDie(actor, pool) {
+		const dice = ActorUtils.getStarshipDice(actor, pool);
+		if (!(dice?.value > 0)) {
+			const label = i18n(`br5e.chat.starship.${pool}.title`);
+			ui.notifications.warn(i18n("br5e.error.noStarshipDice", { name: actor?.name, label }));
+			return null;
+		}
+
+		const fields = [
+			['header', { title: i18n(`br5e.chat.starship.${pool}.title`) }],
+			['starshipdie', { pool, formula: `1${dice.die}` }]
+		];
+
+		const conBonus = actor.data.data.abilities?.con?.mod;
+		if (pool === "hull" && conBonus) {
+			fields.push(['damage', {
+				formula: `${conBonus}`,
+				damageType: "healing",
+				title: i18n(sw5e.abilities.con)
+			}]);
+		}
+
+		fields.push(['starshippools']);
+
+		const roll = new CustomItemRoll(actor, {}, fields);
+		await roll.toMessage();
+		if (roll.error || !roll.messageId) return null;
+
+		await roll.spendStarshipDice(actor, { [dice.path]: dice.value - 1 });
+
+		// Repair hull points or regenerate shield points
+		const total = roll.entriesFlattened()
+			.filter(e => e.type === "damage")
+			.reduce((sum, e) => sum + e.baseRoll.total, 0);
+		const hp = actor.data.data.attributes.hp;
+		await roll.logHitPointChange(actor, () => {
+			if (pool === "hull") {
+				return actor.update({ "data.attributes.hp.value": Math.min(hp.max, hp.value + Math.max(0, total)) });
+			}
+
+			const temp = (hp.temp ?? 0) + total;
+			return actor.update({ "data.attributes.hp.temp": hp.tempmax ? Math.min(hp.tempmax, temp) : temp });
+		});
+
+		return roll;
+	}
+
+	/**
+	 * Routes a power die of a starship actor from its central storage to one of its systems,
+	 * and creates a card that shows the ship's dice pools afterwards. The routing can be undone from the card.
+	 * @param {Actor} actor starship actor
+	 * @param {"weapons" | "engines" | "shields"} system
+	 * @returns {Promise<CustomItemRoll | null>}
+	 */
+	static async routePowerDie(actor, system) {
+		const central = ActorUtils.getStarshipDice(actor, "power", "central");
+		const target = ActorUtils.getStarshipDice(actor, "power", system);
+		const systemLabel = i18n(`br5e.chat.starship.systems.${system}`);
+		if (!(central?.value > 0)) {
+			const label = i18n("br5e.chat.starship.power.die", { system: i18n("br5e.chat.starship.systems.central") });
+			ui.notifications.warn(i18n("br5e.error.noStarshipDice", { name: actor?.name, label }));
+			return null;
+		} else if (!target || target.value >= target.max) {
+			ui.notifications.warn(i18n("br5e.error.starshipSystemFull", { name: actor.name, system: systemLabel }));
+			return null;
+		}
+
+		const roll = new CustomItemRoll(actor, {}, [
+			['header', { title: i18n("br5e.chat.starship.power.title") }],
+			['description', { text: i18n("br5e.chat.starship.power.routed", { system: systemLabel }) }],
+			['starshippools']
+		]);
+
+		await roll.toMessage();
+		if (roll.error || !roll.messageId) return null;
+
+		await roll.spendStarshipDice(actor, {
+			[central.path]: central.value - 1,
+			[target.path]: target.value + 1
+		});
+
+		return roll;
+	}
+
+	/**
+	 * Rolls a skill, ability check or saving throw for several actors into a single card,
+	 * with one roll per actor. If a DC is given, a summary shows whether the group succeeded,
+	 * which is the case when at least half of the actors succeed.
+	 * @param {Actor[]} actors
+	 * @param {"skill" | "check" | "save"} rollType
+	 * @param {string} key skill or ability shorthand
+	 * @param {FullRollActorParams & { dc?: number }} params
+	 */
+	static async rollGroup(actors, rollType, key, params={}) {
+		const label = CustomRoll._getActorRollLabel(rollType, key);
+		const title = i18n("br5e.chat.groupRoll.title", { label });
+		const fields = [['header', { title, img: "icons/svg/dice-target.svg" }]];
+		for (const actor of actors) {
+			fields.push(await CustomRoll._createActorCheckField(actor, rollType, key));
+		}
+
+		if (params.dc) {
+			fields.push(['groupsummary', { dc: Number(params.dc) }]);
+		}
+
+		const rollState = Utils.getRollState({ event, ...params });
+		const roll = new CustomItemRoll(null, { rollState }, fields);
+		await roll.toMessage();
+		return roll;
+	}
+
+	/**
+	 * Rolls a contest between two actors into a single card, and declares the winner.
+	 * Each key can be a skill or an ability, in which case an ability check is rolled.
+	 * Ties are shown as such, leaving the situation unchanged.
+	 * @param {Actor} actorA
+	 * @param {string} keyA skill or ability shorthand
+	 * @param {Actor} actorB
+	 * @param {string} keyB skill or ability shorthand
+	 * @param {FullRollActorParams} params
+	 */
+	static async rollContest(actorA, keyA, actorB, keyB, params={}) {
+		const typeA = keyA in sw5e.skills ? "skill" : "check";
+		const typeB = keyB in sw5e.skills ? "skill" : "check";
+		const labelA = CustomRoll._getActorRollLabel(typeA, keyA);
+		const labelB = CustomRoll._getActorRollLabel(typeB, keyB);
+
+		const rollState = Utils.getRollState({ event, ...params });
+		const roll = new CustomItemRoll(actorA, { rollState }, [
+			['header', { title: i18n("br5e.chat.contest.title", { a: labelA, b: labelB }) }],
+			await CustomRoll._createActorCheckField(actorA, typeA, keyA, true),
+			await CustomRoll._createActorCheckField(actorB, typeB, keyB, true),
+			['contestresult']
+		]);
+
+		await roll.toMessage();
+		return roll;
+	}
+
+	/**
+	 * Rolls a skill, ability check or saving throw for a starship, made by the crew member deployed in a role.
+	 * The crew member's modifiers are used, with the ship's tier added as a bonus.
+	 * Starship skills the crew member doesn't have use the crew member's ability check for the skill's ability.
+	 * The crew member's owner can change the roll state of the card.
+	 * @param {Actor} ship starship actor
+	 * @param {string} role deployment role, such as pilot, operator or gunner
+	 * @param {"skill" | "check" | "save"} rollType
+	 * @param {string} key skill or ability shorthand
+	 * @param {FullRollActorParams} params
+	 * @returns {Promise<CustomItemRoll | null>}
+	 */
+	static async rollCrewCheck(ship, role, rollType, key, params={}) {
+		const crew = await ActorUtils.getDeployedCrew(ship, role);
+		const roleLabel = ActorUtils.getDeploymentLabel(role);
+		if (!crew) {
+			ui.notifications.warn(i18n("br5e.error.noDeployedCrew", { name: ship?.name, role: roleLabel }));
+			return null;
+		}
+
+		const shipSkill = rollType === "skill" && !(key in crew.data.data.skills) ? ship.data.data.skills?.[key] : null;
+		const field = shipSkill ?
+			await CustomRoll._createActorCheckField(crew, "check", shipSkill.ability) :
+			await CustomRoll._createActorCheckField(crew, rollType, key);
+
+		const tier = Number(ship.data.data.details?.tier) || 0;
+		if (tier) {
+			field[1].formula += ` + ${tier}`;
+		}
+		field[1].rollType = rollType;
+
+		const subtitle = i18n("br5e.chat.starship.crew", {
+			ship: ship.token?.name ?? ship.name,
+			role: roleLabel,
+			name: crew.token?.name ?? crew.name
+		});
+
+		const rollState = Utils.getRollState({ event, ...params });
+		const roll = new CustomItemRoll(ship, { rollState }, [
+			['header', { title: CustomRoll._getActorRollLabel(rollType, key), subtitle }],
+			field
+		]);
+
+		await roll.toMessage();
+		return roll;
+	}
+
+	/**
+	 * Returns the label for a skill, ability check or saving throw.
+	 * Skills include the starship skills.
+	 * @param {"skill" | "check" | "save"} rollType
+	 * @param {string} key skill or ability shorthand
+	 * @private
+	 */
+	static _getActorRollLabel(rollType, key) {
+		const isSkill = rollType === "skill";
+		const labels = isSkill ? { ...sw5e.starshipSkills, ...sw5e.skills } : sw5e.abilities;
+		if (!(key in labels)) {
+			throw new Error(`Better Rolls | ${isSkill ? "Skill" : "Ability"} ${key} does not exist`);
+		}
+
+		if (isSkill) {
+			return i18n(labels[key]?.label ?? labels[key]);
+		}
+
+		const suffix = i18n(rollType === "save" ? "br5e.chat.save" : "br5e.chat.check");
+		return `${i18n(sw5e.abilities[key])} ${suffix}`;
+	}
+
+	/**
+	 * Creates a check field for a skill, ability check or saving throw rolled by an actor
+	 * that isn't necessarily the card's actor. The roll is titled with the actor's name.
+	 * @param {Actor} actor
+	 * @param {"skill" | "check" | "save"} rollType
+	 * @param {string} key skill or ability shorthand
+	 * @param {boolean} showLabel whether to add the roll's label to the title
+	 * @private
+	 */
+	static async _createActorCheckField(actor, rollType, key, showLabel=false) {
+		let roll;
+		if (rollType === "skill") {
+			roll = await ActorUtils.getSkillCheckRoll(actor, key);
+		} else if (rollType === "save") {
+			roll = await ActorUtils.getAbilitySaveRoll(actor, key);
+		} else {
+			roll = await ActorUtils.getAbilityCheckRoll(actor, key);
+		}
+
+		const name = actor.token?.name ?? actor.name;
+		const title = showLabel ? `${name} (${CustomRoll._getActorRollLabel(rollType, key)})` : name;
+		return ['check', {
+			formula: roll.formula,
+			title,
+			rollType,
+			owner: { actorId: actor.id, tokenId: actor.token?.uuid ?? null, name }
+		}];
+	}
+
+	/**
+	 * Shows a dialog to pick a skill, ability check or saving throw and an optional DC,
+	 * and then rolls it for all the given actors in a single card.
+	 * @param {Actor[]} actors
+	 */
+	static async promptGroupRoll(actors) {
+		actors = actors.filter(a => a);
+		if (actors.length === 0) {
+			return ui.notifications.warn(i18n("br5e.error.noSelectedActor"));
+		}
+
+		const content = await renderTemplate("modules/betterrollssw5e/templates/red-group-roll-dialog.html", {
+			skills: sw5e.skills,
+			abilities: sw5e.abilities
+		});
+
+		const roll = (html, rollState) => {
+			const [rollType, key] = html.find("[name=roll]").val().split(".");
+			const dc = Number(html.find("[name=dc]").val()) || null;
+			return CustomRoll.rollGroup(actors, rollType, key, { rollState, dc });
+		};
+
+		new Dialog({
+			title: i18n("br5e.groupRoll.title"),
+			content,
+			buttons: {
+				disadvantage: {
+					label: i18n("br5e.querying.disadvantage"),
+					callback: html => roll(html, "lowest")
+				},
+				normal: {
+					label: i18n("br5e.querying.normal"),
+					callback: html => roll(html, "first")
+				},
+				advantage: {
+					label: i18n("br5e.querying.advantage"),
+					callback: html => roll(html, "highest")
+				}
+			},
+			default: "normal"
+		}).render(true);
+	}
+
 	static newItemRoll(itemOrActor, params, fields) {
 		return new CustomItemRoll(itemOrActor, params, fields);
 	}
 }
 
+/**
+ * Returns the current combat turn, used to tell if something happened during the same turn.
+ * All values are null outside of combat.
+ * @returns {{ combatId: string?, round: number?, turn: number? }}
+ */
+function getCombatTurn() {
+	const combat = game.combat;
+	return { combatId: combat?.id ?? null, round: combat?.round ?? null, turn: combat?.turn ?? null };
+}
+
 let defaultParams = {
 	title: "",
 	forceCrit: false,
@@ -131,6 +569,7 @@ let defaultParams = {
 	disadvantage: 0,
 	consume: true,
 	infoOnly: false,
+	weaponProperties: true,
 };
 
 /*
@@ -153,6 +592,41 @@ let defaultParams = {
 	).toMessage();
 */
 
+/**
+ * Queue used to apply save results and damage logs to cards one at a time,
+ * otherwise simultaneous updates would overwrite each other.
+ */
+let cardUpdateQueue = Promise.resolve();
+
+/**
+ * @typedef DamageLogRecord
+ * @type {object}
+ * @property {string} id
+ * @property {string?} applicationId id shared by every change made by the same application,
+ * 	such as applying damage to several targets at once
+ * @property {string} actorId
+ * @property {string?} tokenId uuid of the token document, for unlinked tokens
+ * @property {string} name
+ * @property {{ value: number, temp: number }} previous hit points before the change
+ * @property {{ value: number, temp: number }} current hit points after the change
+ * @property {string} userId id of the user that applied the change
+ */
+
+/**
+ * Context passed to the preProcessFieldBetterRolls and processFieldBetterRolls hooks.
+ * Hooks can change the type, data and metadata before the field is constructed,
+ * or change the constructed entries afterwards.
+ * @typedef FieldHookContext
+ * @type {object}
+ * @property {string} type field type, such as attack, damage or savedc
+ * @property {object} data copy of the field data, such as the formula or damage index
+ * @property {object} metadata roll metadata such as the item, actor, rollState and slotLevel
+ * @property {Array<import("./renderer.js").RenderModelEntry>?} entries
+ * 	constructed entries. Only available in processFieldBetterRolls.
+ * @property {(reason?: string) => void} cancel skips this field, showing the reason if given
+ * @property {(reason?: string) => void} cancelRoll cancels the whole roll, showing the reason if given
+ */
+
 // A custom roll with data corresponding to an item on a character's sheet.
 export class CustomItemRoll {
 	/**
@@ -189,6 +663,11 @@ export class CustomItemRoll {
 		this.entries = [];
 
 		this.properties = [];
+		this.consumed = []; // Refund records for anything consumed by the roll
+		/** @type {DamageLogRecord[]} */
+		this.damageLog = []; // Hit point changes applied from this card
+		this.maneuvers = []; // Superiority dice spent on this card, refunded if deleted in the same turn
+		this.powerPoints = null; // Power points spent and remaining when casting a power
 		this.rolled = false;
 		this.isCrit = this.params.forceCrit || false; // Becomes "true" when a valid attack or check first crits.
 		this.dicePool = new DiceCollection();
@@ -204,6 +683,10 @@ export class CustomItemRoll {
 			roll.isCrit = data.isCrit;
 			roll.entries = FoundryProxy.create(data.entries);
 			roll.properties = data.properties;
+			roll.consumed = data.consumed ?? [];
+			roll.damageLog = data.damageLog ?? [];
+			roll.maneuvers = data.maneuvers ?? [];
+			roll.powerPoints = data.powerPoints ?? null;
 			roll.params = data.params;
 
 			// Set these up so that lazy loading can be done
@@ -236,14 +719,7 @@ export class CustomItemRoll {
 	async getActor() {
 		if (this._actor) return this._actor;
 
-		let actor = null;
-		if (this.tokenId) {
-			const token = await fromUuid(this.tokenId);
-			actor = token?.actor;
-		} else {
-			actor = game.actors.get(this.actorId);
-		}
-
+		const actor = await Utils.resolveActor({ actorId: this.actorId, tokenId: this.tokenId });
 		this._actor = actor;
 		return actor;
 	}
@@ -310,18 +786,61 @@ export class CustomItemRoll {
 		let total = 0;
 		for (const entry of this.entries) {
 			if (entry.type === "damage-group") {
-				for (const subEntry of entry.entries) {
-					total += subEntry.baseRoll?.total ?? 0;
-					if (subEntry.revealed || entry.isCrit) {
-						total += subEntry.critRoll?.total ?? 0;
-					}
-				}
+				total += CustomItemRoll.getGroupDamage(entry);
 			}
 		}
 
 		return total;
 	}
 
+	/**
+	 * Returns the total damage of a damage group, including revealed crit damage.
+	 * @param {import("./renderer.js").DamageGroup} group
+	 * @returns {number}
+	 */
+	static getGroupDamage(group) {
+		return CustomItemRoll.getGroupDamageParts(group).reduce((total, part) => total + part.amount, 0);
+	}
+
+	/**
+	 * Returns the damage of each entry in a damage group along with its damage type,
+	 * including revealed crit damage.
+	 * @param {import("./renderer.js").DamageGroup} group
+	 * @returns {Array<{ damageType: string?, amount: number }>}
+	 */
+	static getGroupDamageParts(group) {
+		const parts = [];
+		for (const subEntry of group.entries) {
+			let amount = subEntry.baseRoll?.total ?? 0;
+			if (subEntry.revealed || group.isCrit) {
+				amount += subEntry.critRoll?.total ?? 0;
+			}
+
+			parts.push({ damageType: subEntry.damageType, amount });
+		}
+
+		return parts;
+	}
+
+	/**
+	 * Returns the damage groups that belong to a save button.
+	 * These are the groups after the button up until the next attack roll or save button.
+	 * @param {string} saveId id of the save button entry
+	 * @returns {import("./renderer.js").DamageGroup[]}
+	 */
+	getSaveDamageGroups(saveId) {
+		const index = this.entries.findIndex(e => e.id === saveId);
+		if (index < 0) return [];
+
+		const groups = [];
+		for (const entry of this.entries.slice(index + 1)) {
+			if (["multiroll", "button-save"].includes(entry.type)) break;
+			if (entry.type === "damage-group") groups.push(entry);
+		}
+
+		return groups;
+	}
+
 
 	/**
 	 * Generator to create an iterable flattened list
@@ -422,8 +941,9 @@ export class CustomItemRoll {
 					} else {
 						const { formula, total } = entry.baseRoll;
 						const extraCritDice = entry.extraCritDice ?? baseExtraCritDice;
+						const critBonus = entry.critBonus ?? 0;
 						entry.extraCritDice = extraCritDice;
-						entry.critRoll = ItemUtils.getCritRoll(formula, total, { settings, extraCritDice });
+						entry.critRoll = ItemUtils.getCritRoll(formula, total, { settings, extraCritDice, critBonus });
 						entry._critBackup = entry.critRoll; // prevent undoing the crit
 						this.dicePool.push(entry.critRoll);
 					}
@@ -499,6 +1019,13 @@ export class CustomItemRoll {
 		if (updated || (group.isCrit && !group.forceCrit)) {
 			if (group) {
 				group.forceCrit = true;
+
+				// Keep the attack in sync, so that hit results display the crit
+				const attack = this.getEntry(group.attackId);
+				if (attack) {
+					attack.forceCrit = true;
+					attack.isCrit = true;
+				}
 			}
 			return true;
 		}
@@ -589,14 +1116,405 @@ export class CustomItemRoll {
 		// Update remaining properties
 		// Update crit status if not forcing crit
 		multiroll.rollState = rollState;
+		multiroll.isCrit = multiroll.forceCrit || multiroll.entries.some(e => !e.ignored && e.isCrit);
 		if (!multiroll.forceCrit) {
 			const group = this.entries.find((e) => e.attackId === multiroll.id);
 			this.updateCritStatus(group?.id, multiroll.isCrit);
 		}
 
+		// Re-apply side effects that depend on the chosen result
+		await this._applyRollEffects(multiroll);
+
+		return true;
+	}
+
+	/**
+	 * Applies the side effects of a multiroll's chosen result outside of the card,
+	 * such as death save counters or combatant initiative.
+	 * @param {import("./renderer.js").MultiRollDataProps} multiroll
+	 * @private
+	 */
+	async _applyRollEffects(multiroll) {
+		if (multiroll.deathSave) {
+			await this._applyDeathSave(multiroll);
+		}
+
+		if (multiroll.initiative) {
+			await this._applyInitiative(multiroll);
+		}
+
+		if (multiroll.rollType === "attack") {
+			await this._applyCritTable(multiroll);
+		}
+	}
+
+	/**
+	 * Draws from the configured crit or fumble table if the chosen result of an attack is a natural 20 or 1,
+	 * and adds the results to the card after the attack and its damage.
+	 * Results are removed if the chosen result changes, and only drawn again if the crit type changes.
+	 * @param {import("./renderer.js").MultiRollDataProps} multiroll
+	 * @private
+	 */
+	async _applyCritTable(multiroll) {
+		const critType = multiroll.entries.find(e => !e.ignored)?.critType;
+		const existing = this.entries.find(e => e.type === "crit-table" && e.sourceId === multiroll.id);
+		if (existing?.critType === critType) return;
+		if (existing) {
+			this.entries.splice(this.entries.indexOf(existing), 1);
+		}
+
+		const table = Utils.getCritTable(critType, multiroll.actionType, this.settings);
+		if (!table) return;
+
+		const { results } = await table.roll();
+		const group = this.entries.find(e => e.type === "damage-group" && e.attackId === multiroll.id);
+		const index = Math.max(this.entries.indexOf(multiroll), this.entries.indexOf(group)) + 1;
+		this.entries.splice(index, 0, {
+			id: this._createId(),
+			type: "crit-table",
+			sourceId: multiroll.id,
+			critType,
+			title: table.name,
+			results: results.map(r => ({ text: r.getChatText(), img: r.data.img }))
+		});
+	}
+
+	/**
+	 * Sets the initiative of the combatant an initiative multiroll was made for to the chosen result.
+	 * @param {import("./renderer.js").MultiRollDataProps} multiroll
+	 * @private
+	 */
+	async _applyInitiative(multiroll) {
+		const { combatId, combatantId } = multiroll.initiative;
+		const combatant = game.combats.get(combatId)?.combatants.get(combatantId);
+		const result = multiroll.entries.find(e => !e.ignored);
+		if (!combatant || !result) return;
+
+		await combatant.update({ initiative: result.total });
+	}
+
+	/**
+	 * Updates the death save counters of the card's actor from the result of a death save multiroll.
+	 * The counters are calculated from the values stored before the roll,
+	 * so that the result can be re-applied if the roll state changes afterwards.
+	 * A natural 20 revives the actor with 1 hit point, a natural 1 counts as two failures,
+	 * and three successes stabilize the actor.
+	 * @param {import("./renderer.js").MultiRollDataProps} multiroll
+	 * @private
+	 */
+	async _applyDeathSave(multiroll) {
+		const actor = await this.getActor();
+		const result = multiroll.entries.find(e => !e.ignored);
+		if (!actor || !result) return;
+
+		const { previous } = multiroll.deathSave;
+		let success = previous.success;
+		let failure = previous.failure;
+		let outcome;
+		if (result.critType === "success") {
+			success = failure = 0;
+			outcome = "revived";
+		} else if (result.total >= 10) {
+			success += 1;
+			outcome = success >= 3 ? "stable" : "success";
+			if (success >= 3) success = failure = 0;
+		} else {
+			failure = Math.min(failure + (result.critType === "failure" ? 2 : 1), 3);
+			outcome = failure >= 3 ? "dead" : "failure";
+		}
+
+		const update = {
+			"data.attributes.death.success": success,
+			"data.attributes.death.failure": failure
+		};
+
+		// Only touch hit points when reviving, or when undoing a previous revival
+		if (outcome === "revived" || multiroll.deathSave.outcome === "revived") {
+			update["data.attributes.hp.value"] = outcome === "revived" ? Math.max(previous.hp, 1) : previous.hp;
+		}
+
+		multiroll.deathSave.outcome = outcome;
+		await actor.update(update);
+	}
+
+	/**
+	 * Returns true if the current user can change the roll state of a multiroll.
+	 * Besides the card's author, owners of the actor a roll was made for can change it.
+	 * @param {string} id id of the multiroll entry
+	 * @returns {Promise<boolean>}
+	 */
+	async canChangeRollState(id) {
+		if (this.hasPermission) return true;
+
+		const owner = this.getEntry(id)?.owner;
+		return !!owner && !!(await Utils.resolveActor(owner))?.isOwner;
+	}
+
+	/**
+	 * Changes the roll state of a multiroll and updates the card.
+	 * If the current user is not allowed to update the card, the change is relayed through the GM.
+	 * @param {string} id id of the multiroll entry
+	 * @param {import("./fields.js").RollState} rollState
+	 */
+	async changeRollState(id, rollState) {
+		if (!(await this.canChangeRollState(id))) return;
+
+		if (this.hasPermission) {
+			if (await this.updateRollState(id, rollState)) {
+				await this.update();
+				await this.reportSaveResult();
+			}
+		} else {
+			game.socket.emit("module.betterrollssw5e", {
+				action: "roll-state",
+				messageId: this.messageId,
+				entryId: id,
+				rollState,
+				userId: game.user.id
+			});
+		}
+	}
+
+	/**
+	 * Changes the roll state of a multiroll on behalf of a user that owns the actor the roll was made for.
+	 * Requires permission to update the chat message.
+	 * @param {object} data
+	 * @param {string} data.messageId
+	 * @param {string} data.entryId id of the multiroll entry
+	 * @param {import("./fields.js").RollState} data.rollState
+	 * @param {string} data.userId id of the user that requested the change
+	 */
+	static applyRollState({ messageId, entryId, rollState, userId }) {
+		const apply = async () => {
+			const message = game.messages.get(messageId);
+			if (!message) return;
+
+			const roll = CustomItemRoll.fromMessage(message);
+			const owner = roll.getEntry(entryId)?.owner;
+			const user = game.users.get(userId);
+			const actor = owner ? await Utils.resolveActor(owner) : null;
+			if (!user || !actor?.testUserPermission(user, "OWNER")) return;
+
+			if (await roll.updateRollState(entryId, rollState)) {
+				await roll.update();
+			}
+		};
+
+		cardUpdateQueue = cardUpdateQueue.then(apply).catch(err => console.error(err));
+		return cardUpdateQueue;
+	}
+
+	/**
+	 * Returns the result of the first multiroll in the card.
+	 * If no roll state was chosen, the first roll is the one that counts.
+	 * @returns {{ total: number, critType: string? } | null}
+	 */
+	getFirstRollResult() {
+		const multiroll = this.entries.find(e => e.type === "multiroll");
+		const entry = multiroll?.entries.find(e => !e.ignored);
+		return entry ? { total: entry.total, critType: entry.critType } : null;
+	}
+
+	/**
+	 * Sends the result of this card to the save button that requested it.
+	 * If the current user cannot modify the originating card, the result is relayed through the GM.
+	 * Does nothing if this roll was not requested by a save button.
+	 */
+	async reportSaveResult() {
+		const origin = this.params.saveOrigin;
+		const result = this.getFirstRollResult();
+		if (!origin || !result || !this.messageId) return;
+
+		const actor = await this.getActor();
+		const data = {
+			action: "save-result",
+			messageId: origin.messageId,
+			entryId: origin.entryId,
+			result: {
+				id: this.messageId,
+				actorId: actor?.id,
+				tokenId: actor?.token?.uuid ?? null,
+				name: actor?.token?.name ?? actor?.name,
+				total: result.total
+			}
+		};
+
+		const message = game.messages.get(origin.messageId);
+		if (message?.canUserModify(game.user, "update")) {
+			await CustomItemRoll.applySaveResult(data);
+		} else {
+			game.socket.emit("module.betterrollssw5e", data);
+		}
+	}
+
+	/**
+	 * Stores a save result in the card that requested the save and updates it.
+	 * Results from the same save card replace the previous ones.
+	 * Requires permission to update the chat message.
+	 * @param {object} data
+	 * @param {string} data.messageId id of the message containing the save button
+	 * @param {string} data.entryId id of the save button entry
+	 * @param {{ id: string, name: string, total: number }} data.result
+	 */
+	static applySaveResult({ messageId, entryId, result }) {
+		const apply = async () => {
+			const message = game.messages.get(messageId);
+			if (!message) return;
+
+			const roll = CustomItemRoll.fromMessage(message);
+			const entry = roll.getEntry(entryId);
+			if (entry?.type !== "button-save") return;
+
+			const results = (entry.results ?? []).filter(r => r.id !== result.id);
+			results.push({ ...result, success: result.total >= entry.dc });
+			entry.results = results;
+			await roll.update();
+		};
+
+		cardUpdateQueue = cardUpdateQueue.then(apply).catch(err => console.error(err));
+		return cardUpdateQueue;
+	}
+
+	/**
+	 * Records a hit point change applied from this card, so that it can be undone later.
+	 * If the current user cannot modify the card, the record is relayed through the GM.
+	 * @param {DamageLogRecord} record
+	 */
+	async logDamage(record) {
+		await this._sendDamageLogUpdate({ record });
+	}
+
+	/**
+	 * Runs a hit point update on an actor and records the change in the damage log, so that it can be undone.
+	 * @param {Actor} actor
+	 * @param {() => Promise<any>} updateFn function that updates the actor's hit points
+	 * @param {string?} applicationId id of the damage or healing application the change is part of.
+	 * 	Defaults to a new application.
+	 */
+	async logHitPointChange(actor, updateFn, applicationId=null) {
+		const getHitPoints = () => {
+			const hp = actor.data.data.attributes.hp;
+			return { value: hp.value, temp: hp.temp || 0 };
+		};
+
+		const previous = getHitPoints();
+		await updateFn();
+		const current = getHitPoints();
+		if (previous.value === current.value && previous.temp === current.temp) return;
+
+		const id = randomID();
+		await this.logDamage({
+			id,
+			applicationId: applicationId ?? id,
+			actorId: actor.id,
+			tokenId: actor.token?.uuid ?? null,
+			name: actor.token?.name ?? actor.name,
+			previous,
+			current,
+			userId: game.user.id
+		});
+	}
+
+	/**
+	 * Returns the hit point changes of the most recent damage or healing application from this card,
+	 * which can affect several actors at once.
+	 * @returns {DamageLogRecord[]}
+	 */
+	getLastDamageApplication() {
+		const last = this.damageLog?.[this.damageLog.length - 1];
+		if (!last) return [];
+
+		const applicationId = last.applicationId ?? last.id;
+		return this.damageLog.filter(r => (r.applicationId ?? r.id) === applicationId);
+	}
+
+	/**
+	 * Returns true if the current user can undo the last damage or healing application.
+	 * Only GMs and the user that applied the changes are allowed to,
+	 * and that user must still own every actor that was changed.
+	 */
+	canUndoDamage() {
+		const records = this.getLastDamageApplication();
+		return records.length > 0 && records.every(r => {
+			return game.user.isGM || (r.userId === game.user.id && !!Utils.getActor(r)?.isOwner);
+		});
+	}
+
+	/**
+	 * Reverts the hit point changes of the last damage or healing application from this card,
+	 * and removes them from the log. Changes are reverted by the amount they changed,
+	 * so that damage or healing applied afterwards is kept.
+	 * @returns {Promise<boolean>} true if the changes were undone
+	 */
+	async undoDamage() {
+		if (!this.canUndoDamage()) return false;
+
+		const records = this.getLastDamageApplication();
+		const names = [];
+		for (const record of [...records].reverse()) {
+			const actor = await Utils.resolveActor(record);
+			if (!actor) {
+				ui.notifications.error(i18n("br5e.error.noActorWithId"));
+				continue;
+			}
+
+			const hp = actor.data.data.attributes.hp;
+			const value = hp.value + record.previous.value - record.current.value;
+			const temp = (hp.temp || 0) + record.previous.temp - record.current.temp;
+			await actor.update({
+				"data.attributes.hp.value": Math.clamped(value, 0, hp.max + (hp.tempmax ?? 0)),
+				"data.attributes.hp.temp": Math.max(0, temp)
+			});
+
+			names.push(record.name);
+		}
+
+		await this._sendDamageLogUpdate({ undoIds: records.map(r => r.id) });
+		ui.notifications.info(i18n("br5e.chat.damageLog.undone", { name: names.join(", ") }));
 		return true;
 	}
 
+	/**
+	 * Updates the damage log of this card, relaying the update through the GM
+	 * if the current user cannot modify the message.
+	 * @param {{ record?: DamageLogRecord, undoIds?: string[] }} update
+	 * @private
+	 */
+	async _sendDamageLogUpdate(update) {
+		if (!this.messageId) return;
+
+		const data = { action: "damage-log", messageId: this.messageId, ...update };
+		const message = game.messages.get(this.messageId);
+		if (message?.canUserModify(game.user, "update")) {
+			await CustomItemRoll.updateDamageLog(data);
+		} else {
+			game.socket.emit("module.betterrollssw5e", data);
+		}
+	}
+
+	/**
+	 * Adds a record to or removes records from the damage log of a card and updates it.
+	 * Requires permission to update the chat message.
+	 * @param {object} data
+	 * @param {string} data.messageId id of the message to update
+	 * @param {DamageLogRecord?} data.record record to add
+	 * @param {string[]?} data.undoIds ids of the records to remove
+	 */
+	static updateDamageLog({ messageId, record, undoIds }) {
+		const apply = async () => {
+			const message = game.messages.get(messageId);
+			if (!message) return;
+
+			const roll = CustomItemRoll.fromMessage(message);
+			if (record) roll.damageLog.push(record);
+			if (undoIds) roll.damageLog = roll.damageLog.filter(r => !undoIds.includes(r.id));
+			await roll.update();
+		};
+
+		cardUpdateQueue = cardUpdateQueue.then(apply).catch(err => console.error(err));
+		return cardUpdateQueue;
+	}
+
 	/**
 	 * Internal function to process fields and populate the internal data.
 	 * Call toMessage() to create the final chat message and show the result
@@ -617,7 +1535,7 @@ export class CustomItemRoll {
 			// Set up preset but only if there aren't fields
 			if (!this.fields || this.fields.length === 0) {
 				this.params.preset = this.params.preset ?? 0;
-				if (Number.isInteger(this.params.preset)) {
+				if (Number.isInteger(this.params.preset) || typeof this.params.preset === "string") {
 					await this.updateForPreset();
 				}
 			}
@@ -697,12 +1615,15 @@ export class CustomItemRoll {
 		}
 
 		// Process all fields (this builds the data entries)
+		// Stop if a hook cancelled the roll
 		for (const field of this.fields) {
 			await this._processField(field);
+			if (this.error) return;
 		}
 
 		// Consume ammo (now that fields have been processed)
 		if (ammo && !isObjectEmpty(ammoUpdate)) {
+			this._recordConsumption(ammo, ammoUpdate);
 			await ammo.update(ammoUpdate);
 		}
 
@@ -722,12 +1643,24 @@ export class CustomItemRoll {
 				this.properties = ItemUtils.getPropertyList(item);
 			}
 
+			// Show the power points spent and remaining on power cards
+			if (item.data.type === "power") {
+				this.powerPoints = this._getPowerPointUsage(item, actor);
+			}
+
 			// Place the template if applicable
 			if (placeTemplate) {
 				ItemUtils.placeTemplate(item);
 			}
 		}
 
+		// Apply side effects of the results, such as death saves, now that the roll can no longer fail
+		for (const entry of this.entries) {
+			if (entry.type === "multiroll") {
+				await this._applyRollEffects(entry);
+			}
+		}
+
 		this.rolled = true;
 		this.error = false;
 		await Hooks.callAll("rollItemBetterRolls", this);
@@ -743,6 +1676,8 @@ export class CustomItemRoll {
 						this.dicePool.push(subEntry.baseRoll, subEntry.critRoll);
 					}
 				}
+			} else if (entry.type === "maneuver") {
+				this.dicePool.push(entry.roll);
 			}
 		}
 	}
@@ -759,7 +1694,13 @@ export class CustomItemRoll {
 	 */
 	_getFlags() {
 		// Transform rolls in fields into formulas when saving into flags
+		// Registered field types serialize their own data
 		const fields = this.fields.map((field) => {
+			const serialize = RollFields.getCustomField(field[0])?.serialize;
+			if (serialize) {
+				return [field[0], serialize(field[1] ?? {})];
+			}
+
 			const newField = deepClone(field);
 			if (field[1] && 'formula' in field[1] && field[1].formula?.formula) {
 				newField[1].formula = field[1].formula.formula;
@@ -776,6 +1717,10 @@ export class CustomItemRoll {
 				isCrit: this.isCrit,
 				entries: this.entries,
 				properties: this.properties,
+				consumed: this.consumed,
+				damageLog: this.damageLog,
+				maneuvers: this.maneuvers,
+				powerPoints: this.powerPoints,
 				params: this.params,
 				fields
 			}
@@ -784,7 +1729,7 @@ export class CustomItemRoll {
 		// Clear fields if any has an actor or item,
 		// its too complicated for rerolling
 		// We can probably handle it in the future somehow using FoundryProxy
-		if (this.fields?.some(f => f[1]?.actor || f[1]?.item)) {
+		if (fields.some(f => f[1]?.actor || f[1]?.item)) {
 			console.log("BetterRollssw5e | Roll fields are too complex for serialization, removing fields");
 			flags.betterrollssw5e.fields = null;
 		}
@@ -817,9 +1762,10 @@ export class CustomItemRoll {
 	 * If not already rolled and rendered, roll() is called first.
 	 * @param {object} param0 options
 	 * @param {string} param0.rollMode roll mode to determine if private/public/etc
+	 * @param {string[]?} param0.whisper ids of the users to whisper the message to, overriding the roll mode
 	 * @returns {Promise<ChatMessage>} the created chat message
 	 */
-	async toMessage({ rollMode=null, createMessage=true }={}) {
+	async toMessage({ rollMode=null, createMessage=true, whisper=null }={}) {
 		if (!this.rolled) {
 			await this.roll();
 		}
@@ -838,6 +1784,7 @@ export class CustomItemRoll {
 			flags: this._getFlags(),
 			type: CONST.CHAT_MESSAGE_TYPES.ROLL,
 			...Utils.getWhisperData(rollMode),
+			...(whisper ? { whisper } : {}),
 
 			// If not blank, D&D will try to modify the card...
 			roll: new Roll("0").roll({ async: false })
@@ -895,8 +1842,12 @@ export class CustomItemRoll {
 		const invalidFields = ["description", "desc"];
 		const fields = duplicate(this.fields.filter(f => !invalidFields.includes(f[0])));
 		const params = duplicate(this.params);
+
+		// Repeated maneuvers don't spend superiority dice
+		fields.filter(f => f[0] === "maneuver").forEach(f => f[1] = { ...(f[1] ?? {}), consume: false });
 		params.consume = false;
 		params.rollState = Utils.getRollState(options);
+		params.forceCrit = params.forceCrit || Utils.isModifierActive(options.event, "forceCrit");
 
 		const newRoll = new CustomItemRoll(subject, params, fields);
 		await newRoll.toMessage();
@@ -952,7 +1903,91 @@ export class CustomItemRoll {
 	}
 
 	/**
-	 * Function that immediately processes the field and adds the result to data
+	 * Returns true if the user can spend superiority dice on this card,
+	 * which requires the card actor to have the resource configured in the maneuverResource setting.
+	 * @returns {Promise<boolean>}
+	 */
+	async canAddManeuver() {
+		if (!this.hasPermission || !this.rolled) return false;
+
+		const actor = await this.getActor();
+		const resource = actor && getProperty(actor.data.data, this.settings.maneuverResource);
+		return resource?.max > 0;
+	}
+
+	/**
+	 * Spends a superiority die and adds it to this card as a maneuver, then updates the chat message.
+	 * @param {object} options maneuver field data, such as the title and whether it targets damage or the attack
+	 * @returns {Promise<boolean>} true if the maneuver was added
+	 */
+	async addManeuver(options={}) {
+		if (!this.hasPermission) return false;
+
+		const existing = new Set(this.entriesFlattened().map(e => e.id));
+		await this.addField(["maneuver", options]);
+		const entries = this.entriesFlattened().filter(e => !existing.has(e.id));
+		if (entries.length === 0) return false;
+
+		this.dicePool.push(...entries.flatMap(e => [e.roll ?? e.baseRoll, e.critRoll]));
+		await this.update();
+		return true;
+	}
+
+	/**
+	 * Spends a superiority die from the actor resource configured in the maneuverResource setting,
+	 * and records the combat turn so that it can be refunded if the card is deleted in the same turn.
+	 * @returns {Promise<boolean>} true if a die was spent
+	 * @private
+	 */
+	async _spendSuperiorityDie() {
+		const actor = await this.getActor();
+		const path = this.settings.maneuverResource;
+		const resource = actor && getProperty(actor.data.data, path);
+		if (!(resource?.value > 0)) {
+			ui.notifications.warn(i18n("br5e.error.noSuperiorityDice"));
+			return false;
+		}
+
+		await actor.update({ [`data.${path}.value`]: resource.value - 1 });
+		this.maneuvers.push({ path, ...getCombatTurn() });
+		return true;
+	}
+
+	/**
+	 * Refunds the superiority dice spent on the maneuvers of a deleted card,
+	 * if it was deleted during the same combat turn they were spent in.
+	 * Dice spent outside of combat are refunded if the card is deleted outside of combat.
+	 * @param {ChatMessage} message the deleted chat message
+	 */
+	static async refundManeuvers(message) {
+		if (!message.data.flags.betterrollssw5e?.maneuvers?.length) return;
+
+		const roll = CustomItemRoll.fromMessage(message);
+		const actor = await roll.getActor();
+		if (!actor) return;
+
+		const current = getCombatTurn();
+		const refunds = roll.maneuvers.filter((m) => {
+			return m.combatId === current.combatId && m.round === current.round && m.turn === current.turn;
+		});
+
+		const updates = {};
+		for (const { path } of refunds) {
+			const key = `data.${path}.value`;
+			const resource = getProperty(actor.data.data, path);
+			if (!resource) continue;
+			updates[key] = Math.min((updates[key] ?? resource.value) + 1, resource.max ?? Infinity);
+		}
+
+		if (!isObjectEmpty(updates)) {
+			await actor.update(updates);
+		}
+	}
+
+	/**
+	 * Function that immediately processes the field and adds the result to data.
+	 * Calls the preProcessFieldBetterRolls hook before constructing the entries,
+	 * and the processFieldBetterRolls hook after, both with this roll and a FieldHookContext.
 	 * @param {[string, Object]} field
 	 * @private
 	 */
@@ -968,13 +2003,80 @@ export class CustomItemRoll {
 			rollState: this.params.rollState,
 			ammo,
 			slotLevel: this.params.slotLevel,
+			weaponProperties: this.params.weaponProperties,
 			isCrit: this.isCrit,
 			settings: this.settings
 		};
 
+		// Allow other modules to modify or cancel the field before it is constructed
+		const context = this._createFieldContext(field, metadata);
+		Hooks.callAll("preProcessFieldBetterRolls", this, context);
+		if (this._isFieldCancelled(context)) return;
+
+		// Allow other modules to modify the constructed entries, or cancel them
+		const newField = [context.type, context.data];
+		context.entries = await RollFields.constructModelsFromField(newField, context.metadata, settings);
+		Hooks.callAll("processFieldBetterRolls", this, context);
+		if (this._isFieldCancelled(context)) return;
+
+		// Maneuvers only spend a superiority die once their entries are accepted
+		if (context.type === "maneuver" && (context.data.consume ?? true)) {
+			if (!(await this._spendSuperiorityDie())) return;
+		}
+
 		// Add non-null entries
-		const newEntries = await RollFields.constructModelsFromField(field, metadata, settings);
-		newEntries.forEach(this._addRenderEntry.bind(this));
+		context.entries.forEach(this._addRenderEntry.bind(this));
+	}
+
+	/**
+	 * Creates the context passed to the per field hooks.
+	 * The field data is copied, so that changes only affect this roll and not repeats.
+	 * @param {[string, Object]} field
+	 * @param {object} metadata
+	 * @returns {FieldHookContext}
+	 * @private
+	 */
+	_createFieldContext(field, metadata) {
+		const context = {
+			type: field[0],
+			data: { ...(field[1] ?? {}) },
+			metadata,
+			entries: null,
+			cancelled: false,
+			cancelledRoll: false,
+			reason: null,
+			cancel: (reason=null) => {
+				context.cancelled = true;
+				context.reason = reason;
+			},
+			cancelRoll: (reason=null) => {
+				context.cancelled = true;
+				context.cancelledRoll = true;
+				context.reason = reason;
+			}
+		};
+
+		return context;
+	}
+
+	/**
+	 * Returns true if a hook cancelled the field, showing the reason if one was given.
+	 * If the whole roll was cancelled, the roll is marked as errored so that it is not sent.
+	 * @param {FieldHookContext} context
+	 * @private
+	 */
+	_isFieldCancelled(context) {
+		if (!context.cancelled) return false;
+
+		if (context.reason) {
+			ui.notifications.warn(context.reason);
+		}
+
+		if (context.cancelledRoll) {
+			this.error = true;
+		}
+
+		return true;
 	}
 
 	/**
@@ -1004,6 +2106,21 @@ export class CustomItemRoll {
 			}
 		}
 
+		// Attack maneuvers add the superiority die to the bonus of the last attack,
+		// so that it is also added to rolls made when the roll state changes
+		if (entry.type === "maneuver") {
+			const attack = findLast(this.entries, (e) => e.type === "multiroll" && e.rollType === "attack");
+			if (attack) {
+				const operator = new OperatorTerm({ operator: "+" }).evaluate({ async: false });
+				attack.bonus = attack.bonus ?
+					Roll.fromTerms([...attack.bonus.terms, operator, ...entry.roll.terms]) :
+					entry.roll;
+				attack.entries.forEach((e) => e.total += entry.roll.total);
+				attack.formula = `${attack.formula} + ${entry.roll.formula}`;
+				entry.attackId = attack.id;
+			}
+		}
+
 		// Assign groups for damage
 		const isDamageEntry = ["damage", "crit"].includes(entry.type);
 		if (isDamageEntry) {
@@ -1061,25 +2178,43 @@ export class CustomItemRoll {
 			properties = false,
 			useCharge = {},
 			useTemplate = false,
+			weaponProperties = true,
 			fields = [],
-			val = (preset === 1) ? "altValue" : "value";
+			namedPreset = null;
+
+		// Named presets override individual flags, falling back to the quick roll values
+		if (typeof preset === "string") {
+			namedPreset = ItemUtils.getPreset(item, preset);
+			if (!namedPreset) {
+				ui.notifications.warn(i18n("br5e.error.noPreset", { name: preset }));
+				preset = 0;
+			}
+		}
+
+		const val = (preset === 1) ? "altValue" : "value";
 
 		fields.push(["header"]);
 
 		if (brFlags) {
+			// Returns the flag or alt-flag depending on setting
+			function getFlag(flag) {
+				if (!brFlags[flag]) return null;
+				return namedPreset?.values?.[flag] ?? brFlags[flag][val];
+			}
+
 			// Assume new action of the button based on which fields are enabled for Quick Rolls
 			function flagIsTrue(flag) {
-				return (brFlags[flag] && (brFlags[flag][val] == true));
+				return getFlag(flag) == true;
 			}
 
-			// Returns the flag or alt-flag depending on setting
-			function getFlag(flag) {
-				return (brFlags[flag] ? (brFlags[flag][val]) : null);
-			}
+			if (brFlags.quickWeaponProperties) { weaponProperties = flagIsTrue("quickWeaponProperties"); }
 
 			if (flagIsTrue("quickFlavor") && itemData.chatFlavor) { fields.push(["flavor"]); }
 			if (flagIsTrue("quickDesc")) { fields.push(["desc"]); }
 			if (flagIsTrue("quickAttack") && isAttack(item)) { fields.push(["attack"]); }
+			if (flagIsTrue("quickAttack") && weaponProperties && ItemUtils.getBurstProperty(item)) {
+				fields.push(["burst"]);
+			}
 			if (flagIsTrue("quickCheck") && isCheck(item)) { fields.push(["check"]); }
 			if (flagIsTrue("quickSave") && isSave(item)) { fields.push(["savedc"]); }
 			if (flagIsTrue("quickSave")) { fields.push(["ammosavedc"]); }
@@ -1102,7 +2237,7 @@ export class CustomItemRoll {
 			if (flagIsTrue("quickProperties")) { properties = true; }
 
 			if (brFlags.quickCharges) {
-				useCharge = duplicate(getFlag("quickCharges"));
+				useCharge = duplicate(getFlag("quickCharges") ?? {});
 			}
 			if (flagIsTrue("quickTemplate")) { useTemplate = true; }
 
@@ -1117,6 +2252,7 @@ export class CustomItemRoll {
 			properties,
 			useCharge,
 			useTemplate,
+			weaponProperties,
 		});
 
 		this.fields = fields.concat((this.fields || []).slice());
@@ -1264,20 +2400,167 @@ export class CustomItemRoll {
 			itemUpdates["data.recharge.charged"] = false;
 		}
 
+		// Record everything we're about to change so that it can be refunded from the card
+		const itemRecord = this._recordConsumption(item, itemUpdates);
+		this._recordConsumption(actor, actorUpdates);
+
 		if (!isObjectEmpty(itemUpdates)) await item.update(itemUpdates);
 		if (!isObjectEmpty(actorUpdates)) await actor.update(actorUpdates);
 
 		if (!isObjectEmpty(resourceUpdates)) {
 			const resource = actor.items.get(itemData.consume?.target);
+			this._recordConsumption(resource, resourceUpdates);
 			if (resource) await resource.update(resourceUpdates);
 		}
 
 		// Destroy item if it gets consumed
 		if (itemUpdates["data.quantity"] === 0 && autoDestroy) {
 			output = "destroy";
+			itemRecord.deleted = true;
 			await actor.deleteOwnedItem(item.id);
 		}
 
 		return output;
 	}
+
+	/**
+	 * Returns the power points spent on casting a power and the actor's remaining points,
+	 * along with the power's alignment (its school) and casting ability.
+	 * The points spent are taken from the consumption recorded for the actor.
+	 * Returns null if no points were spent, such as for at-will powers.
+	 * Values are stored unlocalized, so that they are shown in the language of each user.
+	 * @param {Item} item
+	 * @param {Actor} actor
+	 * @private
+	 */
+	_getPowerPointUsage(item, actor) {
+		const { school } = item.data.data;
+		const type = ItemUtils.getPowerPointType(item);
+		const path = `data.attributes.${type}.points`;
+		const getTotal = (points) => (Number(points?.value) || 0) + (Number(points?.temp) || 0);
+
+		const points = getProperty(actor.data, path);
+		if (!points) return null;
+
+		const record = this.consumed.find(r => r.documentName === "Actor" && r.id === actor.id);
+		const previous = record && getProperty(record.updates, path);
+		const spent = previous ? Math.max(0, getTotal({ ...points, ...previous }) - getTotal(points)) : 0;
+		if (!spent) return null;
+
+		return {
+			type,
+			school,
+			ability: item.abilityMod,
+			spent,
+			value: getTotal(points),
+			max: Number(points.max) || 0
+		};
+	}
+
+	/**
+	 * Updates the dice pools of a starship actor after the card was created,
+	 * recording the change so that it can be refunded, and shows the new pools on the card.
+	 * @param {Actor} actor starship actor
+	 * @param {object} updates
+	 */
+	async spendStarshipDice(actor, updates) {
+		this._recordConsumption(actor, updates);
+		await actor.update(updates);
+
+		const poolsEntry = this.entries.find(e => e.type === "starship-pools");
+		if (poolsEntry) {
+			poolsEntry.pools = ActorUtils.getStarshipPools(actor);
+		}
+
+		await this.update();
+	}
+
+	/**
+	 * Stores the values that a consumption update is about to overwrite,
+	 * so that they can be restored later by refund().
+	 * Numeric values also store how much was consumed, so that the refund adds it back to the current value
+	 * instead of overwriting anything spent or regained since.
+	 * @param {Actor | Item} document the document that is about to be updated
+	 * @param {object} updates the update data that will be applied to the document
+	 * @returns {object | null} the created refund record, or null if there is nothing to record
+	 * @private
+	 */
+	_recordConsumption(document, updates) {
+		if (!document || !updates || isObjectEmpty(updates)) return null;
+
+		const previous = {};
+		const deltas = {};
+		for (const [key, value] of Object.entries(flattenObject(updates))) {
+			previous[key] = getProperty(document.data, key);
+			if (typeof previous[key] === "number" && typeof value === "number") {
+				deltas[key] = previous[key] - value;
+			}
+		}
+
+		// Updates are stored expanded, dotted keys do not survive message flags
+		const record = {
+			documentName: document.documentName,
+			id: document.id,
+			updates: expandObject(previous),
+			deltas: expandObject(deltas)
+		};
+
+		this.consumed.push(record);
+		return record;
+	}
+
+	/**
+	 * Returns true if this card consumed something that can be refunded.
+	 */
+	canRefund() {
+		return this.hasPermission && this.consumed?.length > 0;
+	}
+
+	/**
+	 * Reverts everything consumed by this roll, including re-creating items
+	 * that were destroyed after using their last charge. Updates the chat message when done.
+	 * @returns {Promise<boolean>} true if the consumption was refunded
+	 */
+	async refund() {
+		if (!this.canRefund()) return false;
+
+		const actor = await this.getActor();
+		if (!actor) {
+			ui.notifications.error(i18n("br5e.error.noActorWithId"));
+			return false;
+		}
+
+		// Consumed amounts are added back to the current values, other values are restored as they were
+		const getRefundUpdates = (document, record) => {
+			const updates = flattenObject(record.updates);
+			for (const [key, delta] of Object.entries(flattenObject(record.deltas ?? {}))) {
+				const current = getProperty(document.data, key);
+				if (typeof current === "number") {
+					updates[key] = current + delta;
+				}
+			}
+			return updates;
+		};
+
+		for (const record of this.consumed) {
+			if (record.documentName === "Actor") {
+				await actor.update(getRefundUpdates(actor, record));
+			} else if (record.deleted) {
+				if (!this.storedItemData) {
+					ui.notifications.warn(i18n("br5e.error.noItemWithId"));
+					continue;
+				}
+
+				const itemData = mergeObject(duplicate(this.storedItemData), record.updates);
+				await actor.createEmbeddedDocuments("Item", [itemData], { keepId: true });
+			} else {
+				const item = actor.items.get(record.id);
+				if (item) await item.update(getRefundUpdates(item, record));
+			}
+		}
+
+		this.consumed = [];
+		await this.update();
+		return true;
+	}
 }
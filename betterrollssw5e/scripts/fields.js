@@ -7,11 +7,77 @@ import { isSave } from "./betterrollssw5e.js";
  * @typedef {"highest" | "lowest" | "first" | null} RollState
  */
 
+/**
+ * Definition of a field type registered by another module or world script
+ * @typedef CustomFieldDefinition
+ * @type {object}
+ * @property {(data: object, settings: BRSettings) => any} construct Creates one or more entries
+ * 	from the field data merged with the roll metadata (item, actor, rollState, etc). Can be async.
+ * 	Entries without a type are given the field name as their type.
+ * @property {(entry: object, settings: BRSettings) => string | Promise<string>} render Renders an entry to html
+ * @property {((data: object) => object)?} serialize Converts the field data into a plain object
+ * 	that can be stored in the message flags and passed to construct again when the roll is repeated.
+ * 	Defaults to storing the field data as is.
+ */
+
+/**
+ * Field types handled by RollFields.constructModelsFromField(), which must list every case of its switch
+ */
+const builtInFieldTypes = [
+	"header", "attack", "burst", "toolcheck", "tool", "check", "damage", "other", "maneuver", "starshipdie",
+	"starshippools", "ammo", "savedc", "ammosavedc", "custom", "description", "desc", "text", "flavor", "crit",
+	"initiative", "deathsave", "groupsummary", "contestresult"
+];
+
+/**
+ * Field and entry types handled by Better Rolls itself, which cannot be registered
+ */
+const builtInTypes = new Set([
+	...builtInFieldTypes,
+	"multiroll", "damage-group", "button-save", "group-summary", "contest-result", "crit-table",
+	"starship-pools", "raw"
+]);
+
+/**
+ * Field types registered through RollFields.registerField()
+ * @type {Map<string, CustomFieldDefinition>}
+ */
+const customFields = new Map();
+
 /**
  * Provides utility functions that can be used to create model elements
  * for new rolls.
  */
 export class RollFields {
+	/**
+	 * Registers a new field type, which can then be used in roll fields like the built in ones.
+	 * The entries it creates are stored in the message flags, so they must be serializable.
+	 * @param {string} name name of the field type
+	 * @param {CustomFieldDefinition} definition
+	 */
+	static registerField(name, { construct, render, serialize=null }={}) {
+		if (!name || typeof name !== "string") {
+			throw new Error("Better Rolls | Custom fields require a name");
+		}
+		if (builtInTypes.has(name)) {
+			throw new Error(`Better Rolls | Cannot register field ${name}, it is a built in type`);
+		}
+		if (typeof construct !== "function" || typeof render !== "function") {
+			throw new Error(`Better Rolls | Custom field ${name} requires construct and render functions`);
+		}
+
+		customFields.set(name, { construct, render, serialize });
+	}
+
+	/**
+	 * Returns the definition of a registered field type, or undefined if there is none
+	 * @param {string} name
+	 * @returns {CustomFieldDefinition | undefined}
+	 */
+	static getCustomField(name) {
+		return customFields.get(name);
+	}
+
 	/**
 	 * Returns header data to be used for rendering
 	 * @param {object} options
@@ -31,7 +97,7 @@ export class RollFields {
 			title += ` (${sw5e.powerLevels[slotLevel]})`;
 		}
 
-		return { type: "header", img, title };
+		return { type: "header", img, title, subtitle: options.subtitle };
 	}
 
 	/**
@@ -45,11 +111,13 @@ export class RollFields {
 	 * @param {string?} options.rollType metadata param for attack vs damage.
 	 * @param {boolean?} options.elvenAccuracy whether the actor should apply elven accuracy
 	 * @param {boolean?} options.forceCrit optional flag to force a crit result
+	 * @param {{ actorId: string, tokenId: string?, name: string }?} options.owner
+	 * 	actor the roll is for, if not the card actor
 	 * @param {BRSettings} options.settings additional settings to override
 	 * @returns {import("./renderer.js").MultiRollDataProps}
 	 */
 	static constructMultiRoll(options={}) {
-		const { critThreshold, title, rollType, elvenAccuracy } = options;
+		const { critThreshold, title, rollType, elvenAccuracy, owner } = options;
 		if (!options.formula) {
 			console.error("No formula given for multi-roll");
 			return;
@@ -110,6 +178,7 @@ export class RollFields {
 				elvenAccuracy,
 				rollState,
 				rollType,
+				owner,
 				formula,
 				entries,
 				forceCrit: options.forceCrit,
@@ -122,6 +191,62 @@ export class RollFields {
 		}
 	}
 
+	/**
+	 * Constructs an initiative multiroll, linked to the combatant it was rolled for.
+	 * @param {object} options
+	 * @param {string} options.formula initiative formula of the combatant
+	 * @param {string} options.combatId
+	 * @param {string} options.combatantId
+	 * @param {RollState?} options.rollState
+	 * @param {BRSettings} options.settings
+	 * @returns {import("./renderer.js").MultiRollDataProps}
+	 */
+	static constructInitiative(options={}) {
+		const { combatId, combatantId } = options;
+		const multiroll = RollFields.constructMultiRoll({ ...options, rollType: "initiative" });
+		multiroll.initiative = { combatId, combatantId };
+		return multiroll;
+	}
+
+	/**
+	 * Constructs a death save multiroll. The actor's current death save state is stored
+	 * so that the result can be applied again if the roll state changes.
+	 * @param {object} options
+	 * @param {Actor} options.actor
+	 * @param {RollState?} options.rollState
+	 * @param {BRSettings} options.settings
+	 * @returns {import("./renderer.js").MultiRollDataProps}
+	 */
+	static constructDeathSave(options={}) {
+		const { actor } = options;
+		const actorData = actor.data.data;
+
+		// Death saves are affected by global saving throw bonuses
+		const parts = ["1d20"];
+		const bonus = actorData.bonuses?.abilities?.save;
+		if (bonus) {
+			parts.push(Roll.replaceFormulaData(bonus, actor.getRollData()));
+		}
+
+		const multiroll = RollFields.constructMultiRoll({
+			...options,
+			formula: parts.join(" + "),
+			critThreshold: 20,
+			rollType: "deathsave"
+		});
+
+		multiroll.deathSave = {
+			previous: {
+				success: actorData.attributes.death.success ?? 0,
+				failure: actorData.attributes.death.failure ?? 0,
+				hp: actorData.attributes.hp.value
+			},
+			outcome: null
+		};
+
+		return multiroll;
+	}
+
 	/**
 	 * Constructs multiroll (attack) data to be used for data.
 	 * @param {object} options
@@ -135,14 +260,19 @@ export class RollFields {
 	 * @param {string?} options.abilityMod override for the default item abilty mod
 	 * @param {RollState} options.rollState
 	 * @param {number} options.slotLevel
+	 * @param {Array<{ id: string, name: string, ac: number }>?} options.targets targets to determine hits against.
+	 * 	Defaults to the tokens currently targeted by the user.
+	 * @param {boolean?} options.weaponProperties whether to apply weapon properties, such as Keen lowering
+	 * 	the crit threshold. Defaults to true.
 	 */
 	static async constructAttackRoll(options={}) {
 		const { formula, item, rollState, slotLevel } = options;
 		const actor = options.actor ?? item?.actor;
+		const applyProperties = options.weaponProperties ?? true;
 
 		// Get critical threshold
 		const critThreshold = options.critThreshold ??
-			ItemUtils.getCritThreshold(item) ??
+			ItemUtils.getCritThreshold(item, { applyProperties }) ??
 			ActorUtils.getCritThreshold(actor, options.itemType) ??
 			20;
 
@@ -174,7 +304,7 @@ export class RollFields {
 		}
 
 		// Construct the multiroll
-		return RollFields.constructMultiRoll({
+		const multiroll = RollFields.constructMultiRoll({
 			...options,
 			formula: roll,
 			rollState,
@@ -183,6 +313,20 @@ export class RollFields {
 			elvenAccuracy,
 			rollType: "attack"
 		});
+
+		// Store the targets at the time of the roll, so that hits can be evaluated later
+		const targets = options.targets ?? Utils.getTargetData();
+		if (multiroll && targets.length > 0) {
+			multiroll.targets = targets;
+		}
+
+		// Store the attack type, used to pick crit and fumble tables
+		const actionType = item?.data.data.actionType ?? options.itemType;
+		if (multiroll && actionType) {
+			multiroll.actionType = actionType;
+		}
+
+		return multiroll;
 	}
 
 	/**
@@ -199,6 +343,8 @@ export class RollFields {
 	 * @param {string?} options.title title to display. If not given defaults to damage type
 	 * @param {boolean?} options.isCrit Whether to roll crit damage
 	 * @param {number?} options.extraCritDice sets the savage property. Falls back to using the item if not given, or false otherwise.
+	 * @param {number?} options.critBonus flat crit damage. Falls back to the Vicious property for the first entry.
+	 * @param {boolean?} options.weaponProperties whether to apply Brutal and Vicious. Defaults to true.
 	 * @param {BRSettings} options.settings Override config to use for the roll
 	 * @returns {import("./renderer.js").DamageDataProps}
 	 */
@@ -207,7 +353,10 @@ export class RollFields {
 		const actor = options?.actor ?? item?.actor;
 		const isVersatile = damageIndex === "versatile";
 		const isFirst = damageIndex === 0 || isVersatile;
-		const extraCritDice = options.extraCritDice ?? ItemUtils.getExtraCritDice(item);
+		const applyProperties = options.weaponProperties ?? true;
+		const extraCritDice = options.extraCritDice ?? ItemUtils.getExtraCritDice(item, { applyProperties });
+		const critBonus = options.critBonus ??
+			(isFirst && applyProperties ? ItemUtils.getWeaponProperty(item, "vic") : 0);
 
 		const settings = getSettings(options.settings);
 		const { critBehavior } = settings;
@@ -277,7 +426,7 @@ export class RollFields {
 			let critRoll = null;
 			if (damageIndex !== "other") {
 				if (isCrit && critBehavior !== "0") {
-					critRoll = ItemUtils.getCritRoll(baseRoll.formula, total, { settings, extraCritDice });
+					critRoll = ItemUtils.getCritRoll(baseRoll.formula, total, { settings, extraCritDice, critBonus });
 				}
 			}
 
@@ -288,6 +437,7 @@ export class RollFields {
 				damageType,
 				context,
 				extraCritDice,
+				critBonus,
 				baseRoll,
 				critRoll
 			};
@@ -399,22 +549,116 @@ export class RollFields {
 		}).filter(d => d);
 	}
 
+	/**
+	 * Constructs and rolls a superiority die spent on a maneuver.
+	 * Damage maneuvers become a damage entry, while attack maneuvers are added
+	 * to the bonus of the card's last attack roll when the entry is added to the card.
+	 * @param {object} options
+	 * @param {string?} options.formula die to roll. Defaults to the maneuverDie setting
+	 * @param {string?} options.title name of the maneuver
+	 * @param {"damage" | "attack"} options.target what the die is added to. Defaults to damage
+	 * @param {string?} options.damageType
+	 * @param {Actor} options.actor
+	 * @param {Item?} options.item
+	 * @param {boolean?} options.isCrit whether to roll crit damage
+	 * @param {BRSettings} options.settings
+	 * @returns {import("./renderer.js").DamageDataProps | import("./renderer.js").ManeuverProps}
+	 */
+	static constructManeuver(options={}) {
+		const { item, actor } = options;
+		const formula = options.formula || getSettings(options.settings).maneuverDie;
+		const title = options.title || i18n("br5e.chat.maneuver.title");
+
+		if (options.target === "attack") {
+			const roll = new Roll(formula, Utils.getRollData({ item, actor })).roll({ async: false });
+			return { type: "maneuver", title, roll };
+		}
+
+		return RollFields.constructDamageRoll({
+			...options,
+			formula,
+			title,
+			damageIndex: "maneuver",
+			extraCritDice: 0,
+			critBonus: 0
+		});
+	}
+
+	/**
+	 * Constructs and rolls a single hull or shield die of a starship actor.
+	 * Hull dice repair hull points and shield dice regenerate shield points.
+	 * This only rolls the die, spending it is done by CustomRoll.rollStarshipDie().
+	 * @param {object} options
+	 * @param {Actor} options.actor starship actor
+	 * @param {"hull" | "shld"} options.pool
+	 * @param {string?} options.formula formula to roll instead of the pool's die
+	 * @param {BRSettings} options.settings
+	 * @returns {import("./renderer.js").DamageDataProps}
+	 */
+	static constructStarshipDie(options={}) {
+		const { actor, pool } = options;
+		const dice = ActorUtils.getStarshipDice(actor, pool);
+		if (!dice || !["hull", "shld"].includes(pool)) return null;
+
+		return RollFields.constructDamageRoll({
+			...options,
+			formula: options.formula ?? `1${dice.die}`,
+			damageType: { hull: "healing", shld: "temphp" }[pool],
+			title: i18n(`br5e.chat.starship.${pool}.die`),
+			damageIndex: "other"
+		});
+	}
+
 	/**
 	 * Generates the html for a save button to be inserted into a chat message. Players can click this button to perform a roll through their controlled token.
 	 * @returns {import("./renderer.js").ButtonSaveProps}
 	 */
-	static constructSaveButton({ item, abl = null, dc = null, context = null, settings }) {
-		const actor = item?.actor;
-		const saveData = ItemUtils.getSave(item);
+	static constructSaveButton({ item, actor, abl = null, dc = null, context = null, target = null, settings }) {
+		actor = item?.actor ?? actor;
+		const saveData = ItemUtils.getSave(item) ?? {};
 		if (abl) { saveData.ability = abl; }
 		if (dc) { saveData.dc = dc; }
 		if (context) { saveData.context = context; }
 
+		// If a target is given, only that actor rolls the save
+		if (target) { saveData.target = target; }
+
 		// Determine whether the DC should be hidden
 		const hideDCSetting = getSettings(settings).hideDC;
-		const hideDC = (hideDCSetting == "2" || (hideDCSetting == "1" && actor.data.type == "npc"));
+		const hideDC = (hideDCSetting == "2" || (hideDCSetting == "1" && actor?.data.type == "npc"));
+
+		// Damage dealt to targets that succeed, used when applying damage to all save targets
+		const successDamage = item?.data.flags.betterRollssw5e?.quickSave?.successDamage ?? "half";
+
+		return { type: "button-save", hideDC, successDamage, ...saveData };
+	}
+
+	/**
+	 * Constructs the Dexterity save button for firing a Burst or Rapid weapon at an area,
+	 * which is used in place of an attack roll. Creatures that succeed take no damage.
+	 * @param {object} options
+	 * @param {Item} options.item
+	 * @param {Actor?} options.actor
+	 * @param {boolean?} options.weaponProperties whether to apply weapon properties. Defaults to true.
+	 * @param {BRSettings} options.settings
+	 * @returns {import("./renderer.js").ButtonSaveProps | null} null if the item is not a Burst or Rapid weapon,
+	 * 	or if weapon properties are disabled
+	 */
+	static constructBurstSave(options={}) {
+		const { item, settings } = options;
+		const property = ItemUtils.getBurstProperty(item);
+		if (!property || options.weaponProperties === false) return null;
+
+		const saveButton = RollFields.constructSaveButton({
+			item,
+			actor: options.actor ?? item.actor,
+			abl: "dex",
+			dc: ItemUtils.getBurstSaveDC(item),
+			context: sw5e.weaponProperties[property],
+			settings
+		});
 
-		return { type: "button-save", hideDC, ...saveData };
+		return { ...saveButton, successDamage: "none" };
 	}
 
 	/**
@@ -431,11 +675,20 @@ export class RollFields {
 		const { item, actor } = data;
 		settings = getSettings(settings);
 
+		// Custom fields are only used for types that aren't built in
+		const customField = !builtInFieldTypes.includes(fieldType) && customFields.get(fieldType);
+		if (customField) {
+			const result = await customField.construct(data, settings);
+			return [result].flat().filter(e => e).map(e => ({ type: fieldType, ...e }));
+		}
+
 		switch (fieldType) {
 			case 'header':
 				return [RollFields.constructHeaderData(data)];
 			case 'attack':
 				return [await RollFields.constructAttackRoll(data)];
+			case 'burst':
+				return [RollFields.constructBurstSave(data)];
 			case 'toolcheck':
 			case 'tool':
 			case 'check':
@@ -447,6 +700,12 @@ export class RollFields {
 				return RollFields.constructItemDamageRange(data);
 			case 'other':
 				return RollFields.constructItemDamageRange({ ...data, damageIndex: "other" });
+			case 'maneuver':
+				return [RollFields.constructManeuver(data)];
+			case 'starshipdie':
+				return [RollFields.constructStarshipDie(data)];
+			case 'starshippools':
+				return [{ type: "starship-pools", pools: ActorUtils.getStarshipPools(actor) }];
 			case 'ammo':
 				if (!data.ammo) return [];
 
@@ -508,6 +767,16 @@ export class RollFields {
 				break;
 			case 'crit':
 				return [RollFields.constructCritDamageRoll({ item, ...data })];
+			case 'initiative':
+				return [RollFields.constructInitiative(data)];
+			case 'deathsave':
+				return [RollFields.constructDeathSave(data)];
+			case 'groupsummary':
+				return [{ type: "group-summary", dc: data.dc }];
+			case 'contestresult':
+				return [{ type: "contest-result" }];
+			default:
+				console.error(`BetterRollssw5e | Unknown field type ${fieldType}`);
 		}
 
 		return [];
@@ -1,7 +1,8 @@
 import { BRSettings } from "./settings.js";
 import { BetterRollsChatCard } from "./chat-message.js";
-import { addItemSheetButtons, BetterRolls } from "./betterrollssw5e.js";
-import { ItemUtils, Utils } from "./utils/index.js";
+import { addItemPresetMenus, addItemSheetButtons, addStarshipButtons, BetterRolls } from "./betterrollssw5e.js";
+import { CustomItemRoll, CustomRoll } from "./custom-roll.js";
+import { i18n, ItemUtils, Utils } from "./utils/index.js";
 import { addBetterRollsContent } from "./item-tab.js";
 import { patchCoreFunctions } from "./patching/index.js"
 import { migrate } from "./migration.js";
@@ -16,9 +17,22 @@ Hooks.on("renderActorSheet5e", (app, html, data) => {
 		if (game.settings.get("betterrollssw5e", "rollButtonsEnabled")) {
 			addItemSheetButtons(app.object, html, data, triggeringElement, buttonContainer)
 		}
+		addItemPresetMenus(app.object, html);
+		addStarshipButtons(app.object, html);
 	}, 0);
 });
 
+// Adds a group roll button to the token HUD when multiple tokens are selected
+Hooks.on("renderTokenHUD", (app, html) => {
+	const tokens = canvas.tokens.controlled;
+	if (!game.user.isGM || tokens.length < 2) return;
+
+	const button = $(`<div class="control-icon br5e-group-roll" title="${i18n("br5e.groupRoll.title")}">` +
+		`<i class="fas fa-users"></i></div>`);
+	button.click(() => CustomRoll.promptGroupRoll(tokens.map(t => t.actor)));
+	html.find(".col.left").append(button);
+});
+
 // Attaches BetterRolls to item sheet
 Hooks.on("renderItemSheet5e", (app, html, data) => {
 	addBetterRollsContent(app, html, data);
@@ -49,10 +63,22 @@ Hooks.on("ready", async () => {
 		game.settings.set("betterrollssw5e", "critString", critText);
 	}
 
+	// Let the crit and fumble table settings choose from the world's roll tables
+	BRSettings.updateRollTableChoices();
+	for (const hook of ["createRollTable", "updateRollTable", "deleteRollTable"]) {
+		Hooks.on(hook, () => BRSettings.updateRollTableChoices());
+	}
+
 	// Set up socket
 	game.socket.on("module.betterrollssw5e", (data) => {
 		if (data?.action === "roll-sound") {
 			Utils.playDiceSound();
+		} else if (data?.action === "save-result" && Utils.isResponsibleGM()) {
+			CustomItemRoll.applySaveResult(data);
+		} else if (data?.action === "damage-log" && Utils.isResponsibleGM()) {
+			CustomItemRoll.updateDamageLog(data);
+		} else if (data?.action === "roll-state" && Utils.isResponsibleGM()) {
+			CustomItemRoll.applyRollState(data);
 		}
 	});
 
@@ -61,6 +87,13 @@ Hooks.on("ready", async () => {
 	Hooks.call("readyBetterRolls");
 });
 
+// Refund superiority dice spent on cards deleted in the same turn
+Hooks.on("deleteChatMessage", (message) => {
+	if (Utils.isResponsibleGM()) {
+		CustomItemRoll.refundManeuvers(message);
+	}
+});
+
 // Create flags for item when it's first created
 Hooks.on("preCreateItem", (item) => ItemUtils.ensureFlags(item));
 
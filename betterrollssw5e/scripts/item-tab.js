@@ -42,6 +42,28 @@ export async function addBetterRollsContent(app, protoHtml) {
 	// For items that have at least one way to consume something
 	const canConsume = hasQuantity || hasUses || hasResource || hasCharge;
 
+	// Options that named presets can toggle, limited to the ones shown for the quick rolls
+	const brFlags = item.data.flags.betterRollssw5e;
+	const presetOptions = [
+		["quickDesc", "br5e.settings.description"],
+		["quickAttack", "br5e.settings.attackRoll", isAttack(item)],
+		["quickSave", "br5e.settings.saveDC", isSave(item)],
+		["quickCheck", "br5e.settings.check"],
+		["quickProperties", "br5e.settings.properties"],
+		["quickVersatile", CONFIG.SW5E.weaponProperties.ver],
+		["quickTemplate", "br5e.settings.useTemplate", item.hasAreaTarget],
+		["quickOther", "br5e.settings.otherFormula"],
+		["quickFlavor", "br5e.settings.quickFlavor"],
+		["quickWeaponProperties", "br5e.settings.weaponProperties"],
+	].filter(([key, _, available=true]) => brFlags[key] && available).map(([key, label]) => ({ key, label }));
+
+	const consumeOptions = [
+		["quantity", "br5e.settings.consumeQuantity", hasQuantity],
+		["use", "br5e.settings.consumeUses", hasUses],
+		["resource", "br5e.settings.consumeResource", hasResource],
+		["charge", "br5e.settings.consumeRecharge", hasCharge],
+	].filter(([_, __, available]) => available).map(([key, label]) => ({ key, label }));
+
 	const betterRollsTemplate = await renderTemplate("modules/betterrollssw5e/templates/red-item-options.html", {
 		SW5E: CONFIG.SW5E,
 		item,
@@ -55,7 +77,14 @@ export async function addBetterRollsContent(app, protoHtml) {
 		flags: item.data.flags,
 		damageTypes: CONFIG.betterRollssw5e.combinedDamageTypes,
 		altSecondaryEnabled,
-		itemHasTemplate: item.hasAreaTarget
+		itemHasTemplate: item.hasAreaTarget,
+		presets: ItemUtils.getPresets(item),
+		presetOptions,
+		consumeOptions,
+		successDamageChoices: {
+			half: "br5e.settings.saveSuccessDamage.choices.half",
+			none: "br5e.settings.saveSuccessDamage.choices.none"
+		}
 	});
 
 	settingsContainer.append(betterRollsTemplate);
@@ -96,6 +125,28 @@ export async function addBetterRollsContent(app, protoHtml) {
 		}
 	}
 
+	// Named presets start as a copy of the quick roll options
+	const presetsContainer = settingsContainer.find(".br5e-presets");
+	presetsContainer.find(".br5e-preset-add").click(async (evt) => {
+		evt.preventDefault();
+		const values = {};
+		for (const [key, flag] of Object.entries(brFlags)) {
+			if (flag?.value !== undefined) values[key] = duplicate(flag.value);
+		}
+
+		activate = true;
+		await item.update({
+			[`flags.betterRollssw5e.presets.${randomID()}`]: { name: i18n("br5e.settings.presets.newName"), values }
+		});
+	});
+
+	presetsContainer.find(".br5e-preset-delete").click(async (evt) => {
+		evt.preventDefault();
+		const presetId = $(evt.currentTarget).closest(".br5e-preset").attr("data-preset-id");
+		activate = true;
+		await item.update({ [`flags.betterRollssw5e.presets.-=${presetId}`]: null });
+	});
+
 	// Activate the tab if anything changes in any sub-field
 	const newSection = settingsContainer.find(".tab.item-betterRolls");
 	newSection.find("input[type=text]").change((evt) => activate = true);
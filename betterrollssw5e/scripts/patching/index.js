@@ -16,12 +16,16 @@ export function patchCoreFunctions() {
 	}
 
 	const actorProto = "CONFIG.Actor.documentClass.prototype";
+	const combatProto = "CONFIG.Combat.documentClass.prototype";
 	override("CONFIG.Item.documentClass.prototype.roll", itemRoll);
 	override("CONFIG.Item.documentClass.prototype.rollAttack", itemRollAttack);
 	override("CONFIG.Item.documentClass.prototype.rollToolCheck", itemRollToolCheck);
 	libWrapper.register("betterrollssw5e", `${actorProto}.rollSkill`, actorRollSkill, "MIXED");
 	libWrapper.register("betterrollssw5e", `${actorProto}.rollAbilityTest`, actorRollAbilityTest, "MIXED");
 	libWrapper.register("betterrollssw5e", `${actorProto}.rollAbilitySave`, actorRollAbilitySave, "MIXED");
+	libWrapper.register("betterrollssw5e", `${actorProto}.rollDeathSave`, actorRollDeathSave, "MIXED");
+	libWrapper.register("betterrollssw5e", `${actorProto}.rollHitDie`, actorRollHitDie, "MIXED");
+	libWrapper.register("betterrollssw5e", `${combatProto}.rollInitiative`, combatRollInitiative, "MIXED");
 }
 
 /**
@@ -49,17 +53,23 @@ function itemRoll(defaultRoll, options) {
 		event
 	}, options, { recursive: false });
 	const { rollMode, createMessage, vanilla } = options;
-	const altKey = options.event?.altKey;
+	const altKey = Utils.isModifierActive(options.event, "altRoll");
+	const vanillaKey = vanilla !== false && Utils.isModifierActive(options.event, "vanillaRoll");
 	const item = this;
 
 	// Case - If the image button should roll a vanilla roll, UNLESS vanilla is defined and is false
 	const { imageButtonEnabled, altSecondaryEnabled } = getSettings();
-	if (vanilla || (!imageButtonEnabled && vanilla !== false) || (altKey && !altSecondaryEnabled)) {
+	if (vanilla || vanillaKey || (!imageButtonEnabled && vanilla !== false) || (altKey && !altSecondaryEnabled)) {
 		return defaultRoll.bind(item)(options);
 	}
 
-	const preset = altKey ? 1 : 0;
-	const card = window.BetterRolls.rollItem(item, { preset, event: options.event });
+	// Powers can be cast at a given level, skipping the ability use dialog
+	const upcast = options.slotLevel ?
+		{ slotLevel: options.slotLevel, consumePowerLevel: options.consumePowerLevel ?? options.slotLevel } :
+		{};
+
+	const preset = options.preset ?? (altKey ? 1 : 0);
+	const card = window.BetterRolls.rollItem(item, { preset, event: options.event, ...upcast });
 	return card.toMessage({ rollMode, createMessage });
 }
 
@@ -134,7 +144,7 @@ async function itemRollToolCheck(original, options) {
 	}
 
 	const evt = options?.event ?? event;
-	const preset = evt?.altKey ? 1 : 0;
+	const preset = Utils.isModifierActive(evt, "altRoll") ? 1 : 0;
 	const card = window.BetterRolls.rollItem(this, { preset, ...options });
 	return card.toMessage();
 }
@@ -151,7 +161,7 @@ async function actorRollSkill(original, skillId, options) {
 		...Utils.getRollState(options),
 	});
 
-	return CustomRoll._fullRollActor(this, i18n(sw5e.skills[skillId]), roll);
+	return CustomRoll._fullRollActor(this, CustomRoll._getActorRollLabel("skill", skillId), roll);
 }
 
 async function actorRollAbilityTest(original, ability, options) {
@@ -185,3 +195,43 @@ async function actorRollAbilitySave(original, ability, options) {
 	const label = `${i18n(sw5e.abilities[ability])} ${i18n("br5e.chat.save")}`;
 	return CustomRoll._fullRollActor(this, label, roll);
 }
+
+async function actorRollDeathSave(original, options) {
+	if (options?.chatMessage === false || options?.vanilla) {
+		return original.call(this, options);
+	}
+
+	return CustomRoll.rollDeathSave(this, options);
+}
+
+async function actorRollHitDie(original, denomination, options) {
+	// Only characters spend hit dice from their classes
+	if (options?.vanilla || this.data.type !== "character") {
+		return original.call(this, denomination, options);
+	}
+
+	return CustomRoll.rollHitDie(this, denomination);
+}
+
+async function combatRollInitiative(original, ids, options={}) {
+	if (options?.vanilla) {
+		return original.call(this, ids, options);
+	}
+
+	// Roll for each combatant the user owns, remembering whose turn it currently is
+	ids = typeof ids === "string" ? [ids] : ids;
+	const currentId = this.combatant?.id;
+	const rollMode = options.messageOptions?.rollMode;
+	for (const id of ids) {
+		const combatant = this.combatants.get(id);
+		if (!combatant?.isOwner) continue;
+
+		await CustomRoll.rollInitiative(combatant, { formula: options.formula, rollMode });
+	}
+
+	if ((options.updateTurn ?? true) && currentId) {
+		await this.update({ turn: this.turns.findIndex(t => t.id === currentId) });
+	}
+
+	return this;
+}
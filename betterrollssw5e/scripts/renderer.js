@@ -1,6 +1,7 @@
 import { CustomItemRoll } from "./custom-roll.js";
+import { RollFields } from "./fields.js";
 import { BRSettings, getSettings } from "./settings.js";
-import { i18n, Utils } from "./utils/index.js";
+import { sw5e, i18n, Utils } from "./utils/index.js";
 
 /**
  * Model data for rendering the header template.
@@ -11,6 +12,7 @@ import { i18n, Utils } from "./utils/index.js";
  * @property {"header"} type
  * @property {string} img image path to show in the box
  * @property {string} title header title text
+ * @property {string?} subtitle smaller text shown under the title
  */
 
 /**
@@ -40,6 +42,13 @@ import { i18n, Utils } from "./utils/index.js";
  * @property {boolean} isCrit
  * @property {Array<{roll: Roll}>} entries Main d20 roll. Bonuses are added to this
  * @property {Roll} bonus Any bonuses to add to the roll (that only get rolled once)
+ * @property {Array<{ id: string, name: string, ac: number }>?} targets tokens targeted when attacking
+ * @property {{ actorId: string, tokenId: string?, name: string }?} owner actor the roll was made for,
+ * 	if not the card's actor
+ * @property {{ previous: { success: number, failure: number, hp: number }, outcome: string? }?} deathSave
+ * 	death save state before the roll and the outcome of the roll, if this is a death save
+ * @property {{ combatId: string, combatantId: string }?} initiative combatant this initiative roll is for
+ * @property {string?} actionType action type of the item the attack was made with (mwak, rwak, etc)
  */
 
 /**
@@ -54,6 +63,7 @@ import { i18n, Utils } from "./utils/index.js";
  * @property {string} damageType If its something like bludgeoning or piercing
  * @property {string} context
  * @property {number?} extraCritDice Used for things like savage
+ * @property {number?} critBonus Flat damage added on a crit, used for Vicious weapons
  * @property {Roll} baseRoll
  * @property {Roll?} critRoll
  */
@@ -80,6 +90,59 @@ import { i18n, Utils } from "./utils/index.js";
  * @property {string} ability
  * @property {boolean} hideDC
  * @property {number} dc
+ * @property {Array<{ id: string, name: string, total: number, success: boolean }>?} results
+ * 	results reported by the save cards rolled from this button
+ * @property {"half" | "none"} successDamage damage dealt to targets that succeed the save
+ * @property {{ actorId: string, tokenId: string? }?} target the only actor that rolls this save, if set
+ * @property {boolean?} hasDamage whether there is damage to apply to the save targets. Set when rendering.
+ */
+
+/**
+ * Model data for the result summary of group rolls
+ * @typedef GroupSummaryProps
+ * @property {number} id
+ * @property {"group-summary"} type
+ * @property {number} dc
+ * @property {Array<{ name: string, total: number, success: boolean }>?} results
+ * 	results of every roll in the card. Set when rendering.
+ */
+
+/**
+ * Model data for the winner of a contest
+ * @typedef ContestResultProps
+ * @property {number} id
+ * @property {"contest-result"} type
+ * @property {Array<{ name: string, total: number }>?} results
+ * 	results of every roll in the card. Set when rendering.
+ */
+
+/**
+ * Model data for the results drawn from the crit or fumble table for an attack
+ * @typedef CritTableProps
+ * @property {number} id
+ * @property {"crit-table"} type
+ * @property {number} sourceId id of the attack multiroll that triggered the draw
+ * @property {"success" | "failure"} critType
+ * @property {string} title name of the table
+ * @property {Array<{ text: string, img: string? }>} results
+ */
+
+/**
+ * Model data for a superiority die added to the total of an attack roll
+ * @typedef ManeuverProps
+ * @property {number} id
+ * @property {"maneuver"} type
+ * @property {string} title name of the maneuver
+ * @property {Roll} roll
+ * @property {number?} attackId id of the attack multiroll the die was added to
+ */
+
+/**
+ * Model data for the remaining dice pools of a starship
+ * @typedef StarshipPoolsProps
+ * @property {number} id
+ * @property {"starship-pools"} type
+ * @property {Array<{ label: string, die: string, value: number, max: number }>} pools
  */
 
 /**
@@ -96,7 +159,8 @@ import { i18n, Utils } from "./utils/index.js";
 /**
  * Union type of all possible render model types, separatable by the type property.
  * @typedef { HeaderDataProps | DescriptionDataProps | MultiRollDataProps |
- * 		ButtonSaveProps | DamageGroup | DamageEntry
+ * 		ButtonSaveProps | GroupSummaryProps | ContestResultProps | CritTableProps | ManeuverProps |
+ * 		StarshipPoolsProps | DamageGroup | DamageEntry
  * } RenderModelEntry
  */
 
@@ -143,9 +207,24 @@ export class Renderer {
 				return Renderer.renderDamageGroup(model, settings);
 			case "button-save":
 				return Renderer.renderSaveButton(model, settings);
+			case "group-summary":
+				return Renderer.renderGroupSummary(model, settings);
+			case "contest-result":
+				return Renderer.renderContestResult(model, settings);
+			case "crit-table":
+				return Renderer.renderCritTable(model, settings);
+			case "maneuver":
+				return Renderer.renderManeuver(model, settings);
+			case "starship-pools":
+				return Renderer.renderStarshipPools(model, settings);
 			case "raw":
 				return model?.html ?? model.content?.html ?? model.content;
 			default:
+				const customField = RollFields.getCustomField(model.type);
+				if (customField) {
+					return customField.render(model, settings);
+				}
+
 				console.error(`Unknown render model type ${model.type}`)
 		}
 	}
@@ -155,10 +234,11 @@ export class Renderer {
 	 * @param {HeaderDataProps} properties
 	 */
 	static renderHeader(properties) {
-		const { img, title, slotLevel } = properties;
+		const { img, title, subtitle, slotLevel } = properties;
 		return renderModuleTemplate("red-header.html", {
 			id: properties.id,
 			item: { img: img ?? "icons/svg/mystery-man.svg", name: title },
+			subtitle,
 			slotLevel
 		});
 	}
@@ -178,7 +258,9 @@ export class Renderer {
 	 */
 	static async renderMultiRoll(properties, settings) {
 		const { rollTitlePlacement, d20RollIconsEnabled } = getSettings(settings);
-		const title = rollTitlePlacement !== "0" ? properties.title : null;
+
+		// Rolls made for other actors always show their title, which is the actor's name
+		const title = (rollTitlePlacement !== "0" || properties.owner) ? properties.title : null;
 
 		// Show D20 die icons if enabled
 		let entries = properties.entries;
@@ -190,9 +272,24 @@ export class Renderer {
 		const tooltips = await Promise.all(properties.entries.map(e => e.roll.getTooltip()));
 		const bonusTooltip = await properties.bonus?.getTooltip();
 
+		// Evaluate hits against each target using the rolls that weren't ignored
+		// Targets with an unknown armor class show no result
+		const chosen = properties.entries.filter(e => !e.ignored);
+		const targets = properties.targets?.map(target => ({
+			name: target.name,
+			results: chosen.map(e => {
+				const result = Utils.getHitResult(e, target.ac, properties.forceCrit);
+				return { result, label: i18n(`br5e.chat.hitResult.${result}`) };
+			})
+		})).filter(target => target.results.every(r => r.result));
+
+		// Show the outcome of death saves
+		const outcome = properties.deathSave?.outcome;
+		const deathSaveLabel = outcome ? i18n(`br5e.chat.deathSave.${outcome}`) : null;
+
 		// Render final result
 		return renderModuleTemplate("red-multiroll.html", {
-			...properties, title, entries, tooltips, bonusTooltip
+			...properties, title, entries, tooltips, bonusTooltip, targets, deathSaveLabel
 		});
 	}
 
@@ -299,13 +396,94 @@ export class Renderer {
 	 */
 	static async renderSaveButton(properties) {
 		const abilityLabel = CONFIG.SW5E.abilities[properties.ability];
+		const results = properties.results?.map(r => ({
+			...r,
+			label: i18n(r.success ? "br5e.chat.saveResult.success" : "br5e.chat.saveResult.failure")
+		}));
+
 		return renderModuleTemplate("red-save-button.html", {
 			id: properties.id,
 			abilityLabel,
-			...properties
+			...properties,
+			results
+		});
+	}
+
+	/**
+	 * Renders the result summary of a group roll.
+	 * The group succeeds if at least half of the rolls succeed.
+	 * @param {GroupSummaryProps} properties
+	 */
+	static renderGroupSummary(properties) {
+		const results = (properties.results ?? []).map(r => ({
+			...r,
+			label: i18n(r.success ? "br5e.chat.saveResult.success" : "br5e.chat.saveResult.failure")
+		}));
+
+		const successes = results.filter(r => r.success).length;
+		const success = results.length > 0 && successes * 2 >= results.length;
+		return renderModuleTemplate("red-group-summary.html", {
+			id: properties.id,
+			dc: properties.dc,
+			results,
+			success,
+			summary: i18n(success ? "br5e.chat.groupRoll.success" : "br5e.chat.groupRoll.failure", {
+				successes,
+				total: results.length
+			})
 		});
 	}
 
+	/**
+	 * Renders the winner of a contest, which is the highest roll.
+	 * @param {ContestResultProps} properties
+	 */
+	static renderContestResult(properties) {
+		const results = properties.results ?? [];
+		const highest = Math.max(...results.map(r => r.total));
+		const winners = results.filter(r => r.total === highest);
+		const summary = winners.length === 1 ?
+			i18n("br5e.chat.contest.winner", { name: winners[0].name }) :
+			i18n("br5e.chat.contest.tie");
+
+		return renderModuleTemplate("red-contest-result.html", { id: properties.id, summary });
+	}
+
+	/**
+	 * Renders the results drawn from a crit or fumble table
+	 * @param {CritTableProps} properties
+	 */
+	static renderCritTable(properties) {
+		const results = properties.results.map(r => ({ ...r, text: TextEditor.enrichHTML(r.text) }));
+		return renderModuleTemplate("red-crit-table.html", {
+			id: properties.id,
+			title: properties.title,
+			isCrit: properties.critType === "success",
+			results
+		});
+	}
+
+	/**
+	 * Renders a superiority die that was added to an attack
+	 * @param {ManeuverProps} properties
+	 */
+	static async renderManeuver(properties) {
+		const { id, title, roll } = properties;
+		const tooltip = await roll.getTooltip();
+		return renderModuleTemplate("red-maneuver.html", {
+			id, title, tooltip, total: roll.total, formula: roll.formula
+		});
+	}
+
+	/**
+	 * Renders the remaining dice pools of a starship
+	 * @param {StarshipPoolsProps} properties
+	 */
+	static renderStarshipPools(properties) {
+		const { id, pools } = properties;
+		return renderModuleTemplate("red-starship-pools.html", { id, pools });
+	}
+
 	/**
 	 * Renders an html damage button
 	 * @param {DamageGroup} properties
@@ -330,6 +508,8 @@ export class Renderer {
 			const { id } = properties;
 			const button = renderModuleTemplate("red-damage-button.html", { id });
 			results.push(button);
+		} else if (properties.entries.length > 0) {
+			results.push(renderModuleTemplate("red-apply-damage.html", { group: properties.id }));
 		}
 
 		const renderedResults = await Promise.all(results);
@@ -344,20 +524,62 @@ export class Renderer {
 	static async renderCard(data) {
 		const templates = [];
 
+		// Contest rolls are collected so that they can be shown side by side
+		const isContest = data.entries.some(e => e?.type === "contest-result");
+		const contestants = [];
+
 		let previous = null;
 		for (const entry of data.entries) {
 			if (!entry) continue;
 
+			if (isContest && entry.type === "multiroll" && entry.owner) {
+				contestants.push(await Renderer.renderModel(entry));
+				previous = entry;
+				continue;
+			}
+
 			// If its a new attack/damage group, add a divider
 			const previousIsDamage = ["damage", "crit", "damage-group"].includes(previous?.type);
 			if (previousIsDamage && ["multiroll", "button-save", "damage-group"].includes(entry.type)) {
 				templates.push("<hr/>");
 			}
 
-			templates.push(await Renderer.renderModel(entry));
+			// Save buttons need to know if there's damage to apply to their targets
+			if (entry.type === "button-save") {
+				const hasDamage = data.getSaveDamageGroups(entry.id).length > 0;
+				templates.push(await Renderer.renderModel({ ...entry, hasDamage }));
+			} else if (entry.type === "group-summary") {
+				// Group summaries compare every roll of the card against the DC
+				const results = data.entries.filter(e => e?.type === "multiroll").map(multiroll => {
+					const total = multiroll.entries.find(e => !e.ignored)?.total ?? 0;
+					return { name: multiroll.title, total, success: total >= entry.dc };
+				});
+				templates.push(await Renderer.renderModel({ ...entry, results }));
+			} else if (entry.type === "contest-result") {
+				const results = data.entries.filter(e => e?.type === "multiroll" && e.owner).map(multiroll => ({
+					name: multiroll.owner.name,
+					total: multiroll.entries.find(e => !e.ignored)?.total ?? 0
+				}));
+				templates.push(`<div class="red-contest">${contestants.join("")}</div>`);
+				templates.push(await Renderer.renderModel({ ...entry, results }));
+			} else {
+				templates.push(await Renderer.renderModel(entry));
+			}
+
 			previous = entry;
 		}
 
+		// If there are multiple damage groups, add buttons to apply all of them at once
+		const damageGroups = data.entries.filter(e => e?.type === "damage-group" && !e.prompt);
+		if (damageGroups.length > 1) {
+			templates.push(await renderModuleTemplate("red-apply-damage.html"));
+		}
+
+		// Allow undoing the last damage application
+		if (data.damageLog?.length > 0) {
+			templates.push(await renderModuleTemplate("red-undo-damage.html"));
+		}
+
 		// Render apply active effects button if enabled
 		const actor = await data.getActor();
 		const item = await data.getItem();
@@ -384,13 +606,22 @@ export class Renderer {
 			}
 		}
 
+		// Power point usage is stored unlocalized
+		const powerPoints = data.powerPoints && {
+			...data.powerPoints,
+			alignment: i18n(sw5e.powerSchools[data.powerPoints.school] ?? ""),
+			ability: i18n(sw5e.abilities[data.powerPoints.ability] ?? ""),
+			label: i18n(`br5e.chat.powerPoints.${data.powerPoints.type}`)
+		};
+
 		return renderModuleTemplate("red-fullroll.html", {
 			item,
 			actor,
 			tokenId: data.tokenId,
 			isCritical: data.isCrit,
 			templates,
-			properties: data.properties
+			properties: data.properties,
+			powerPoints
 		});
 	}
 }
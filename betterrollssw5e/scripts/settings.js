@@ -1,7 +1,29 @@
-import { i18n, Utils } from "./utils/index.js";
+import { i18n, sw5e, Utils } from "./utils/index.js";
 
 const getBRSetting = (setting) => game.settings.get("betterrollssw5e", setting);
 
+/**
+ * Default keys for the modifier actions, also used when the keybinding API is unavailable.
+ * Advantage and disadvantage are checked on every roll, the rest only by the entry points that support them.
+ */
+const defaultKeybindings = {
+	advantage: ["ShiftLeft", "ShiftRight"],
+	disadvantage: ["ControlLeft", "ControlRight", "MetaLeft", "MetaRight"],
+	altRoll: ["AltLeft", "AltRight"],
+	vanillaRoll: [],
+	forceCrit: ["AltLeft", "AltRight"],
+};
+
+/**
+ * Attack types that can have their own crit and fumble tables
+ */
+const critTableActionTypes = ["mwak", "rwak", "mpak", "rpak"];
+
+/**
+ * Choices shared by the crit and fumble table settings, filled in with the world's roll tables once they are available
+ */
+const rollTableChoices = { "": "" };
+
 /**
  * Class type used to initialize and retrieve settings.
  */
@@ -84,6 +106,65 @@ class Settings {
 			type: Boolean
 		})
 
+		// Add all hit dice spent in a short rest to a single card
+		game.settings.register("betterrollssw5e", "batchHitDice", {
+			name: i18n("br5e.batchHitDice.name"),
+			hint: i18n("br5e.batchHitDice.hint"),
+			scope: "world",
+			config: true,
+			default: false,
+			type: Boolean
+		});
+
+		// Actor resource that superiority dice are spent from, and the die rolled for maneuvers
+		game.settings.register("betterrollssw5e", "maneuverResource", {
+			name: i18n("br5e.maneuverResource.name"),
+			hint: i18n("br5e.maneuverResource.hint"),
+			scope: "world",
+			config: true,
+			default: "resources.primary",
+			type: String
+		});
+
+		game.settings.register("betterrollssw5e", "maneuverDie", {
+			name: i18n("br5e.maneuverDie.name"),
+			hint: i18n("br5e.maneuverDie.hint"),
+			scope: "world",
+			config: true,
+			default: "1d8",
+			type: String
+		});
+
+		// Replace the sheet's right-click menu of item images with one to roll the item's presets
+		game.settings.register("betterrollssw5e", "presetContextMenu", {
+			name: i18n("br5e.presetContextMenu.name"),
+			hint: i18n("br5e.presetContextMenu.hint"),
+			scope: "client",
+			config: true,
+			default: false,
+			type: Boolean
+		});
+
+		// Add upcast entries to the right-click menu of power images
+		game.settings.register("betterrollssw5e", "upcastContextMenu", {
+			name: i18n("br5e.upcastContextMenu.name"),
+			hint: i18n("br5e.upcastContextMenu.hint"),
+			scope: "client",
+			config: true,
+			default: false,
+			type: Boolean
+		});
+
+		// Request concentration checks when damage is applied to a concentrating actor
+		game.settings.register("betterrollssw5e", "concentrationChecks", {
+			name: i18n("br5e.concentrationChecks.name"),
+			hint: i18n("br5e.concentrationChecks.hint"),
+			scope: "world",
+			config: true,
+			default: true,
+			type: Boolean
+		});
+
 		// Register quick roll defaults for description
 		game.settings.register("betterrollssw5e", "quickDefaultDescriptionEnabled", {
 			name: i18n("br5e.quickDefaultDescriptionEnabled.name"),
@@ -225,6 +306,84 @@ class Settings {
 				"2": i18n("br5e.hideDC.choices.2"),
 			}
 		});
+
+		// Roll tables drawn from when an attack rolls a natural critical or fumble,
+		// with optional tables per attack type that take priority over the general one
+		for (const kind of ["critTable", "fumbleTable"]) {
+			game.settings.register("betterrollssw5e", kind, {
+				name: i18n(`br5e.${kind}.name`),
+				hint: i18n(`br5e.${kind}.hint`),
+				scope: "world",
+				config: true,
+				default: "",
+				type: String,
+				choices: rollTableChoices
+			});
+
+			for (const actionType of critTableActionTypes) {
+				const type = i18n(sw5e.itemActionTypes[actionType]);
+				game.settings.register("betterrollssw5e", `${kind}${actionType.capitalize()}`, {
+					name: i18n(`br5e.${kind}.typed.name`, { type }),
+					hint: i18n(`br5e.${kind}.typed.hint`, { type }),
+					scope: "world",
+					config: true,
+					default: "",
+					type: String,
+					choices: rollTableChoices
+				});
+			}
+		}
+
+		// Modifier keys, remappable through the controls configuration (Foundry 9+)
+		if (game.keybindings) {
+			for (const [action, keys] of Object.entries(defaultKeybindings)) {
+				game.keybindings.register("betterrollssw5e", action, {
+					name: i18n(`br5e.keybindings.${action}.name`),
+					hint: i18n(`br5e.keybindings.${action}.hint`),
+					editable: keys.map(key => ({ key })),
+				});
+			}
+		}
+	}
+
+	/**
+	 * Updates the roll tables that can be chosen in the crit and fumble table settings.
+	 * Called once the world's tables are available, and whenever they change.
+	 */
+	updateRollTableChoices() {
+		for (const key of Object.keys(rollTableChoices)) {
+			if (key) delete rollTableChoices[key];
+		}
+
+		for (const table of game.tables) {
+			rollTableChoices[table.id] = table.name;
+		}
+	}
+
+	/**
+	 * Returns the id of the roll table to draw from when an attack rolls a natural critical or fumble.
+	 * A table set for the attack's action type takes priority over the general one.
+	 * @param {"critTable"|"fumbleTable"} kind
+	 * @param {string?} actionType action type of the attack (mwak, rwak, mpak, rpak)
+	 * @returns {string} table id, or an empty string if none is set
+	 */
+	getRollTableId(kind, actionType=null) {
+		const typed = critTableActionTypes.includes(actionType) ?
+			getBRSetting(`${kind}${actionType.capitalize()}`) :
+			null;
+		return typed || this[kind];
+	}
+
+	/**
+	 * Returns the key bindings for a modifier action, as a list of { key, modifiers }
+	 * @param {"advantage"|"disadvantage"|"altRoll"|"vanillaRoll"|"forceCrit"} action
+	 */
+	getKeybindings(action) {
+		if (game.keybindings) {
+			return game.keybindings.get("betterrollssw5e", action);
+		}
+
+		return (defaultKeybindings[action] ?? []).map(key => ({ key, modifiers: [] }));
 	}
 
 	get playRollSounds() {
@@ -259,6 +418,14 @@ class Settings {
 		return getBRSetting("critString");
 	}
 
+	get critTable() {
+		return getBRSetting("critTable");
+	}
+
+	get fumbleTable() {
+		return getBRSetting("fumbleTable");
+	}
+
 	get critBehavior() {
 		return getBRSetting("critBehavior");
 	}
@@ -279,6 +446,30 @@ class Settings {
 		return getBRSetting("applyActiveEffects");
 	}
 
+	get batchHitDice() {
+		return getBRSetting("batchHitDice");
+	}
+
+	get presetContextMenu() {
+		return getBRSetting("presetContextMenu");
+	}
+
+	get upcastContextMenu() {
+		return getBRSetting("upcastContextMenu");
+	}
+
+	get concentrationChecks() {
+		return getBRSetting("concentrationChecks");
+	}
+
+	get maneuverResource() {
+		return getBRSetting("maneuverResource");
+	}
+
+	get maneuverDie() {
+		return getBRSetting("maneuverDie");
+	}
+
 	get d20Mode() {
 		return getBRSetting("d20Mode");
 	}
@@ -51,6 +51,14 @@ export class Utils {
 		return null;
 	}
 
+	/**
+	 * Returns true if the current user is the GM that should handle requests
+	 * relayed through the socket. Only the first active GM handles them.
+	 */
+	static isResponsibleGM() {
+		return game.user.isGM && game.users.find(u => u.isGM && u.active)?.id === game.user.id;
+	}
+
 	static playDiceSound() {
 		if (!Utils._playSoundLock) {
 			Utils._playSoundLock = true;
@@ -116,13 +124,45 @@ export class Utils {
 		};
 	}
 
+	/**
+	 * Returns true if the keys bound to a modifier action (advantage, altRoll, etc) are held down.
+	 * Modifier keys are read from the event if given, otherwise from the keyboard state.
+	 * @param {Event?} event
+	 * @param {"advantage"|"disadvantage"|"altRoll"|"vanillaRoll"|"forceCrit"} action
+	 */
+	static isModifierActive(event, action) {
+		const keyboard = game.keyboard;
+		const isActive = (modifier, fromEvent) => event ? fromEvent : !!keyboard?.isModifierActive?.(modifier);
+		const activeModifiers = {
+			Control: isActive("Control", event?.ctrlKey || event?.metaKey),
+			Shift: isActive("Shift", event?.shiftKey),
+			Alt: isActive("Alt", event?.altKey),
+		};
+
+		// Left and right variants count as the modifier itself
+		const modifierCodes = window.KeyboardManager?.MODIFIER_CODES ?? {
+			Control: ["ControlLeft", "ControlRight", "MetaLeft", "MetaRight"],
+			Shift: ["ShiftLeft", "ShiftRight"],
+			Alt: ["AltLeft", "AltRight"],
+		};
+		for (const [modifier, codes] of Object.entries(modifierCodes)) {
+			codes.forEach(code => activeModifiers[code] = activeModifiers[modifier]);
+		}
+
+		return getSettings().getKeybindings(action).some(({ key, modifiers=[] }) => {
+			if (keyboard?.downKeys?.has(key) && modifiers.every(m => activeModifiers[m])) return true;
+			if (modifiers.length) return false;
+			return !!activeModifiers[key];
+		});
+	}
+
 	/**
 	 * Returns an {advantage, disadvantage} object when given an event.
 	 */
 	static eventToAdvantage(ev={}) {
-		if (ev.shiftKey) {
+		if (Utils.isModifierActive(ev, "advantage")) {
 			return {advantage: 1, disadvantage:0};
-		} else if (ev.ctrlKey || ev.metaKey) {
+		} else if (Utils.isModifierActive(ev, "disadvantage")) {
 			return {advantage: 0, disadvantage:1};
 		} else {
 			return {advantage: 0, disadvantage:0};
@@ -165,6 +205,39 @@ export class Utils {
 		}
 	}
 
+	/**
+	 * Loads an actor from its id, or from its token uuid if it is a synthetic actor.
+	 * @param {object} param0
+	 * @param {string?} param0.actorId
+	 * @param {string?} param0.tokenId token uuid, which has priority over the actor id
+	 * @returns {Promise<Actor | null>}
+	 */
+	static async resolveActor({ actorId=null, tokenId=null }={}) {
+		if (tokenId) {
+			const token = await fromUuid(tokenId);
+			return token?.actor ?? null;
+		}
+
+		return game.actors.get(actorId) ?? null;
+	}
+
+	/**
+	 * Synchronous version of resolveActor(), for checks that can't wait such as context menu conditions.
+	 * Token uuids are resolved through the scene the token is on.
+	 * @param {object} param0
+	 * @param {string?} param0.actorId
+	 * @param {string?} param0.tokenId token uuid, which has priority over the actor id
+	 * @returns {Actor | null}
+	 */
+	static getActor({ actorId=null, tokenId=null }={}) {
+		if (tokenId) {
+			const [, sceneId, , id] = tokenId.split(".");
+			return game.scenes.get(sceneId)?.tokens.get(id)?.actor ?? null;
+		}
+
+		return game.actors.get(actorId) ?? null;
+	}
+
 	/**
 	 * Returns roll data for an arbitrary item or actor.
 	 * Returns the item's roll data first, and then falls back to actor
@@ -203,6 +276,72 @@ export class Utils {
 		return Utils.getTargetTokens({required}).map(character => character.actor).filter(a => a);
 	}
 
+	/**
+	 * Returns the data of all tokens targeted by the current user that is
+	 * needed to determine hits. This is stored in the card, so it doesn't change if targets do.
+	 * @returns {Array<{ id: string, name: string, ac: number }>}
+	 */
+	static getTargetData() {
+		const targets = [...(game.user?.targets ?? [])].filter(t => t.actor);
+		return targets.map(token => ({
+			id: token.document?.uuid ?? token.id,
+			name: token.name,
+			ac: token.actor.data.data.attributes.ac?.value
+		}));
+	}
+
+	/**
+	 * Determines if a d20 roll entry hits against an armor class.
+	 * Natural 1s always miss and crits always hit. Returns null if the armor class is unknown.
+	 * @param {{ total: number, critType: string?, isCrit: boolean }} entry processed roll entry
+	 * @param {number?} ac armor class to test against
+	 * @param {boolean} forceCrit whether the crit was forced on
+	 * @returns {"crit" | "hit" | "miss" | null}
+	 */
+	static getHitResult(entry, ac, forceCrit=false) {
+		if (ac == null || !Number.isFinite(Number(ac))) return null;
+		if (entry.critType === "failure") return "miss";
+		if (entry.isCrit || forceCrit) return "crit";
+		return entry.total >= ac ? "hit" : "miss";
+	}
+
+	/**
+	 * Returns the roll table to draw from for a critical success or failure on an attack, if one is configured.
+	 * A table configured for the attack's action type takes priority over the general one.
+	 * @param {string?} critType critType of the roll result
+	 * @param {string?} actionType action type of the attack (mwak, rwak, mpak, rpak)
+	 * @param {BRSettings?} settings
+	 * @returns {RollTable | null}
+	 */
+	static getCritTable(critType, actionType, settings=null) {
+		const kind = { success: "critTable", failure: "fumbleTable" }[critType];
+		if (!kind) return null;
+
+		const id = getSettings(settings).getRollTableId(kind, actionType);
+		return id ? game.tables.get(id) ?? null : null;
+	}
+
+	/**
+	 * Returns the actors that damage should be applied to.
+	 * These are the selected tokens, or the targeted tokens if none are selected.
+	 * Players can only update actors they own, so targeted actors they don't own are left out with a warning.
+	 */
+	static getDamageTargetActors() {
+		if (!canvas.tokens.controlled.length) {
+			const targeted = [...(game.user?.targets ?? [])].map(t => t.actor).filter(a => a);
+			const unowned = targeted.filter(a => !a.isOwner);
+			if (unowned.length) {
+				const names = unowned.map(a => a.token?.name ?? a.name).join(", ");
+				ui.notifications.warn(i18n("br5e.error.notTargetOwner", { names }));
+			}
+
+			const owned = targeted.filter(a => a.isOwner);
+			if (targeted.length) return owned;
+		}
+
+		return Utils.getTargetActors({ required: true });
+	}
+
 	/**
 	 * Returns all roll context labels used in roll terms.
 	 * Catches things like +1d8[Thunder] active effects
@@ -307,6 +446,28 @@ export class ActorUtils {
 		return ActorUtils.hasElvenAccuracy(actor) && ["dex", "int", "wis", "cha"].includes(ability);
 	}
 
+	/**
+	 * True if the actor has an enabled effect with the concentration status.
+	 * @param {Actor} actor
+	 */
+	static isConcentrating(actor) {
+		return !!actor?.effects.some(effect => {
+			return !effect.data.disabled && effect.getFlag("core", "statusId") === "concentration";
+		});
+	}
+
+	/**
+	 * Returns the ids of the users that own an actor, along with the GMs.
+	 * If no player owns the actor, only the GMs are returned.
+	 * @param {Actor} actor
+	 * @returns {string[]}
+	 */
+	static getOwnerRecipients(actor) {
+		const owners = game.users.filter(u => !u.isGM && actor?.testUserPermission(u, "OWNER"));
+		const gms = ChatMessage.getWhisperRecipients("GM");
+		return [...new Set([...owners, ...gms].map(u => u.id))];
+	}
+
 	/**
 	 * Returns the number of additional melee extra critical dice.
 	 * @param {*} actor
@@ -334,6 +495,86 @@ export class ActorUtils {
 		}
 	}
 
+	/**
+	 * Returns the multiplier an actor applies to a damage type,
+	 * based on its damage immunities, resistances and vulnerabilities.
+	 * @param {Actor} actor
+	 * @param {string?} damageType
+	 * @returns {number} 0 if immune, 0.5 if resistant, 2 if vulnerable, and 1 otherwise
+	 */
+	static getDamageMultiplier(actor, damageType) {
+		const traits = actor?.data.data.traits;
+		if (!traits || !damageType || !(damageType in CONFIG.SW5E.damageTypes)) return 1;
+
+		const hasTrait = (trait) => traits[trait]?.value?.includes(damageType) ?? false;
+		if (hasTrait("di")) return 0;
+
+		let multiplier = 1;
+		if (hasTrait("dr")) multiplier *= 0.5;
+		if (hasTrait("dv")) multiplier *= 2;
+		return multiplier;
+	}
+
+	/**
+	 * Calculates the damage an actor takes from one or more typed damage parts.
+	 * The modifier (such as half damage) is applied before immunities, resistances and vulnerabilities.
+	 * @param {Actor} actor
+	 * @param {Array<{ damageType: string?, amount: number }>} parts
+	 * @param {number} modifier
+	 * @returns {{ total: number, parts: Array<{ damageType: string?, amount: number, multiplier: number, applied: number }> }}
+	 */
+	static calculateDamage(actor, parts, modifier=1) {
+		const results = parts.map(({ damageType, amount }) => {
+			const multiplier = ActorUtils.getDamageMultiplier(actor, damageType);
+			const applied = Math.floor(Number(amount) * modifier * multiplier);
+			return { damageType, amount: Number(amount), multiplier, applied };
+		});
+
+		const total = results.reduce((sum, part) => sum + part.applied, 0);
+		return { total, parts: results };
+	}
+
+	/**
+	 * Calculates the damage a starship actor takes from one or more typed damage parts.
+	 * Damage is dealt to the ship's shield points first,
+	 * and whatever the shields don't absorb overflows to its hull points.
+	 * The shield and hull multipliers of each damage type come from CONFIG.betterRollssw5e.starshipDamage,
+	 * and are applied after the actor's immunities, resistances and vulnerabilities.
+	 * @param {Actor} actor
+	 * @param {Array<{ damageType: string?, amount: number }>} parts
+	 * @param {number} modifier
+	 */
+	static calculateStarshipDamage(actor, parts, modifier=1) {
+		const damage = ActorUtils.calculateDamage(actor, parts, modifier);
+		let remainingShields = actor.data.data.attributes.hp.temp || 0;
+
+		const results = damage.parts.map((part) => {
+			const { shields=1, hull=1 } = CONFIG.betterRollssw5e.starshipDamage[part.damageType] ?? {};
+
+			// Damage the shields can't absorb carries over to the hull at the hull multiplier.
+			// Without shield points left, all of it goes to the hull.
+			let shieldDamage = 0;
+			let overflow = part.applied;
+			if (shields > 0 && remainingShields > 0) {
+				const absorbable = part.applied * shields;
+				if (absorbable <= remainingShields) {
+					shieldDamage = Math.floor(absorbable);
+					overflow = 0;
+				} else {
+					shieldDamage = remainingShields;
+					overflow = part.applied - remainingShields / shields;
+				}
+			}
+			const hullDamage = Math.floor(overflow * hull);
+
+			remainingShields -= shieldDamage;
+			return { ...part, shieldDamage, hullDamage };
+		});
+
+		const sum = (key) => results.reduce((total, part) => total + part[key], 0);
+		return { total: damage.total, shields: sum("shieldDamage"), hull: sum("hullDamage"), parts: results };
+	}
+
 	/**
 	 * Returns the image to represent the actor. The result depends on BR settings.
 	 * @param {Actor} actor
@@ -398,6 +639,94 @@ export class ActorUtils {
 			disadvantage: rollState === "lowest"
 		});
 	}
+
+	/**
+	 * Returns a dice pool of a starship actor, or null if the actor is not a starship or lacks the pool.
+	 * Power dice are stored per ship system, with the central pool shared by all systems.
+	 * @param {Actor} actor
+	 * @param {"hull" | "shld" | "power"} pool
+	 * @param {string} system power system, such as central, weapons, engines or shields
+	 * @returns {{ die: string, value: number, max: number, path: string } | null}
+	 */
+	static getStarshipDice(actor, pool, system="central") {
+		if (actor?.data.type !== "starship") return null;
+
+		const attributes = actor.data.data.attributes;
+		const dice = pool === "power" ? attributes.power?.[system] : attributes[pool];
+		const die = pool === "power" ? attributes.power?.die : dice?.die;
+		if (!dice || !die) return null;
+
+		const value = Number((pool === "power" ? dice.value : dice.dice) ?? 0);
+		const max = Number((pool === "power" ? dice.max : dice.dicemax) ?? 0);
+		const path = pool === "power" ? `data.attributes.power.${system}.value` : `data.attributes.${pool}.dice`;
+		return { die: String(die).startsWith("d") ? die : `d${die}`, value, max, path };
+	}
+
+	/**
+	 * Returns the crew member deployed in a role of a starship actor, or null if there is none.
+	 * Roles with several deployed crew members return the first one that can be found.
+	 * @param {Actor} ship
+	 * @param {string} role deployment role, such as pilot, operator or gunner
+	 * @returns {Promise<Actor | null>}
+	 */
+	static async getDeployedCrew(ship, role) {
+		if (ship?.data.type !== "starship") return null;
+
+		const deployment = ship.data.data.attributes.deployment?.[role];
+		const ids = [deployment?.value, ...(deployment?.items ?? [])].filter(id => id);
+		for (const id of ids) {
+			const document = game.actors.get(id) ?? await fromUuid(id).catch(() => null);
+			const actor = document?.actor ?? document;
+			if (actor instanceof Actor) return actor;
+		}
+
+		return null;
+	}
+
+	/**
+	 * Returns the deployment roles of a starship actor that have at least one crew member deployed.
+	 * @param {Actor} ship
+	 * @returns {string[]}
+	 */
+	static getDeployedRoles(ship) {
+		if (ship?.data.type !== "starship") return [];
+
+		const deployment = ship.data.data.attributes.deployment ?? {};
+		return Object.entries(deployment)
+			.filter(([_, d]) => d?.value || d?.items?.length)
+			.map(([role]) => role);
+	}
+
+	/**
+	 * Returns the localized name of a starship deployment role.
+	 * @param {string} role
+	 */
+	static getDeploymentLabel(role) {
+		const key = `br5e.chat.starship.roles.${role}`;
+		return game.i18n.has(key) ? i18n(key) : role.capitalize();
+	}
+
+	/**
+	 * Returns the remaining dice of every pool of a starship actor that has any dice.
+	 * @param {Actor} actor
+	 * @returns {{ label: string, die: string, value: number, max: number }[]}
+	 */
+	static getStarshipPools(actor) {
+		const pools = [
+			["hull"], ["shld"],
+			...["central", "weapons", "engines", "shields"].map(system => ["power", system])
+		];
+
+		return pools.map(([pool, system]) => {
+			const dice = ActorUtils.getStarshipDice(actor, pool, system);
+			if (!dice?.max) return null;
+
+			const label = pool === "power" ?
+				i18n("br5e.chat.starship.power.die", { system: i18n(`br5e.chat.starship.systems.${system}`) }) :
+				i18n(`br5e.chat.starship.${pool}.die`);
+			return { label, die: dice.die, value: dice.value, max: dice.max };
+		}).filter(p => p);
+	}
 }
 
 export class ItemUtils {
@@ -413,17 +742,58 @@ export class ItemUtils {
 	}
 
 	/**
-	 * Creates the lower of the item crit threshold, the actor crit threshold, or 20.
+	 * Creates the lower of the item crit threshold, the actor crit threshold, or 20,
+	 * reduced by the weapon's Keen property.
 	 * Returns null if null is given.
 	 * @param {*} item
+	 * @param {object} options
+	 * @param {boolean} options.applyProperties whether to apply weapon properties
 	 */
-	static getCritThreshold(item) {
+	static getCritThreshold(item, { applyProperties=true }={}) {
 		if (!item) return null;
 
 		// Get item crit, favoring the smaller between it and the actor's crit threshold
 		let itemCrit = item.data.data.critical?.threshold || 20;
 		const characterCrit = ActorUtils.getCritThreshold(item.actor, item.data.type);
-		return Math.min(20, characterCrit, itemCrit);
+
+		// Keen weapons lower the threshold further
+		const keen = applyProperties ? ItemUtils.getWeaponProperty(item, "ken") : 0;
+		return Math.max(1, Math.min(20, characterCrit, itemCrit) - keen);
+	}
+
+	/**
+	 * Returns the value of a sw5e weapon property on an item, such as 2 for Brutal 2.
+	 * Properties without a value count as 1, and missing properties or non-weapons as 0.
+	 * @param {Item} item
+	 * @param {string} property property key, such as "ken" for Keen
+	 * @returns {number}
+	 */
+	static getWeaponProperty(item, property) {
+		if (item?.data.type !== "weapon") return 0;
+
+		const value = item.data.data.properties?.[property];
+		if (value === true) return 1;
+		return Number(value) || 0;
+	}
+
+	/**
+	 * Returns the Burst or Rapid property of a weapon, which lets it be fired at an area instead of a single target.
+	 * @param {Item} item
+	 * @returns {"bur" | "rap" | null}
+	 */
+	static getBurstProperty(item) {
+		return ["bur", "rap"].find(p => ItemUtils.getWeaponProperty(item, p)) ?? null;
+	}
+
+	/**
+	 * Returns the DC of the Dexterity save made against a weapon fired with Burst or Rapid,
+	 * which is 8 + the wielder's proficiency bonus + their Dexterity modifier.
+	 * @param {Item} item
+	 * @returns {number}
+	 */
+	static getBurstSaveDC(item) {
+		const actorData = item?.actor?.data.data;
+		return 8 + (actorData?.attributes.prof ?? 0) + (actorData?.abilities.dex.mod ?? 0);
 	}
 
 	static getDuration(item) {
@@ -511,6 +881,63 @@ export class ItemUtils {
 		return flags;
 	}
 
+	/**
+	 * Returns the named presets defined on an item, as a list of { id, name, values }.
+	 * @param {Item} item
+	 */
+	static getPresets(item) {
+		const presets = item?.data.flags.betterRollssw5e?.presets ?? {};
+		return Object.entries(presets)
+			.filter(([_, preset]) => preset)
+			.map(([id, preset]) => ({ id, name: preset.name, values: preset.values ?? {} }));
+	}
+
+	/**
+	 * Finds a named preset on an item by id or by name, or null if it doesn't exist.
+	 * @param {Item} item
+	 * @param {string} nameOrId
+	 */
+	static getPreset(item, nameOrId) {
+		const presets = this.getPresets(item);
+		return presets.find(p => p.id === nameOrId) ?? presets.find(p => p.name === nameOrId) ?? null;
+	}
+
+	/**
+	 * Returns whether a power is cast using force points or tech points.
+	 * @param {Item} item
+	 * @returns {"force" | "tech"}
+	 */
+	static getPowerPointType(item) {
+		return item?.data.data.school === "tec" ? "tech" : "force";
+	}
+
+	/**
+	 * Returns the levels a power can be cast at, with their power point cost and whether the actor
+	 * has enough force or tech points left for them. Levels stop at the highest force or tech power level
+	 * the actor can cast. Powers that cannot be upcast return an empty list.
+	 * @param {Item} item
+	 * @returns {Array<{ level: number, label: string, cost: number, affordable: boolean }>}
+	 */
+	static getUpcastLevels(item) {
+		const data = item?.data.data;
+		const canUpcast = item?.data.type === "power" && data.level > 0 &&
+			CONFIG.SW5E.powerUpcastModes.includes(data.preparation?.mode);
+		if (!canUpcast) return [];
+
+		const type = ItemUtils.getPowerPointType(item);
+		const attributes = getProperty(item.actor?.data ?? {}, `data.attributes.${type}`);
+		const available = (Number(attributes?.points?.value) || 0) + (Number(attributes?.points?.temp) || 0);
+		const maxLevel = Math.min(9, Number(attributes?.level ?? 9));
+
+		const levels = [];
+		for (let level = data.level; level <= maxLevel; level++) {
+			const cost = level + 1; // Powers cost one power point more than their level
+			levels.push({ level, label: i18n(sw5e.powerLevels[level]), cost, affordable: cost <= available });
+		}
+
+		return levels;
+	}
+
 	static placeTemplate(item) {
 		if (item?.hasAreaTarget) {
 			const template = game.sw5e.canvas.AbilityTemplate.fromItem(item);
@@ -528,14 +955,16 @@ export class ItemUtils {
 	}
 
 	/**
-	 * Checks if the item applies savage attacks (bonus crit).
-	 * Returns false if the actor doesn't have savage attacks, if the item
-	 * is not a weapon, or if there is no item.
+	 * Checks if the item applies savage attacks or the Brutal property (bonus crit).
+	 * Returns false if the item is not a weapon, or if there is no item.
 	 * @param {item?} item
+	 * @param {object} options
+	 * @param {boolean} options.applyProperties whether to apply weapon properties
 	 */
-	static getExtraCritDice(item) {
+	static getExtraCritDice(item, { applyProperties=true }={}) {
 		if (item?.actor && item?.data.type === "weapon") {
-			return ActorUtils.getMeleeExtraCritDice(item.actor);
+			const brutal = applyProperties ? ItemUtils.getWeaponProperty(item, "bru") : 0;
+			return ActorUtils.getMeleeExtraCritDice(item.actor) + brutal;
 		}
 
 		return false;
@@ -620,13 +1049,18 @@ export class ItemUtils {
 	 * @param {string} baseFormula
 	 * @param {number} baseTotal
 	 * @param {number?} param2.critDice extra crit dice
-	 * @returns {Roll | null} the crit result, or null if there is no dice
+	 * @param {number?} param2.critBonus flat damage added to the crit, such as from Vicious weapons
+	 * @returns {Roll | null} the crit result, or null if there is no dice or flat crit damage
 	 */
-	static getCritRoll(baseFormula, baseTotal, {settings=null, extraCritDice=null}={}) {
+	static getCritRoll(baseFormula, baseTotal, {settings=null, extraCritDice=null, critBonus=0}={}) {
 		let critRoll = ItemUtils.getBaseCritRoll(baseFormula);
-		if (!critRoll) return null;
+		if (!critRoll && !critBonus) return null;
 
-		critRoll.alter(1, extraCritDice ?? 0);
+		// Flat crit damage still applies if the base formula has no dice to double
+		critRoll?.alter(1, extraCritDice ?? 0);
+		if (critBonus) {
+			critRoll = new Roll(critRoll ? `${critRoll.formula} + ${critBonus}` : `${critBonus}`);
+		}
 		critRoll.roll({async: false});
 
 		const { critBehavior } = getSettings(settings);
@@ -716,8 +1150,11 @@ export class ItemUtils {
 					data.weight ? data.weight + " " + i18n("lbs.") : null
 				];
 				for (const prop in data.properties) {
-					if (data.properties[prop] === true) {
+					const value = data.properties[prop];
+					if (value === true) {
 						properties.push(sw5e.weaponProperties[prop]);
+					} else if (typeof value === "number" && value > 0) {
+						properties.push(`${sw5e.weaponProperties[prop]} ${value}`);
 					}
 				}
 				break;
@@ -0,0 +1,33 @@
+/**
+ * Example of a custom field type, registered from a world script or module.
+ * Adds a "note" field that shows a short highlighted message, optionally rolling a formula.
+ * Once registered, it can be used like any other field, and survives repeating the roll.
+ */
+
+Hooks.once("readyBetterRolls", () => {
+	BetterRolls.registerField("note", {
+		// Called when the field is processed. data also contains the roll metadata (actor, item, etc)
+		construct: (data) => {
+			const roll = data.formula ? new Roll(data.formula).roll({ async: false }) : null;
+			return { text: data.text, total: roll?.total };
+		},
+
+		// Called whenever the card is rendered
+		render: (entry) => {
+			const total = entry.total != null ? ` <strong>${entry.total}</strong>` : "";
+			return `<div class="br5e-roll-label">${entry.text}${total}</div>`;
+		},
+
+		// Only the text and formula need to be stored to repeat the roll
+		serialize: (data) => ({ text: data.text, formula: data.formula })
+	});
+});
+
+/*
+ * Usage, from a macro once the field is registered (for example with Item Macro, where item is defined):
+ *
+ * const card = BetterRolls.rollItem(item);
+ * await card.addField("header");
+ * await card.addField("note", { text: "Sneak attack!", formula: "3d6" });
+ * await card.toMessage();
+ */